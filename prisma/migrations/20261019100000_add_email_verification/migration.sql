@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "email_verified_at" TIMESTAMP(3),
+ADD COLUMN     "verification_email_sent_at" TIMESTAMP(3);
+
+-- Les comptes existants sont considérés comme vérifiés
+UPDATE "User" SET "email_verified_at" = "created_at";
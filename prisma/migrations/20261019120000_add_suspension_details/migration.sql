@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "suspension_reason" TEXT,
+ADD COLUMN     "suspended_until" TIMESTAMP(3);
@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "Submission" ADD COLUMN     "assigned_at" TIMESTAMP(3),
+ADD COLUMN     "reviewing_since" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "Submission_mentor_id_status_idx" ON "Submission"("mentor_id", "status");
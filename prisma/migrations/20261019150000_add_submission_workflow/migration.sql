@@ -0,0 +1,55 @@
+-- AlterEnum
+ALTER TYPE "SubmissionStatus" ADD VALUE 'NEEDS_REVISION';
+
+-- AlterTable
+ALTER TABLE "Submission" ADD COLUMN     "current_version" INTEGER NOT NULL DEFAULT 1;
+
+-- CreateTable
+CREATE TABLE "SubmissionAttempt" (
+    "id" SERIAL NOT NULL,
+    "submission_id" INTEGER NOT NULL,
+    "version" INTEGER NOT NULL,
+    "link" TEXT NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "SubmissionAttempt_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "SubmissionReview" (
+    "id" SERIAL NOT NULL,
+    "submission_id" INTEGER NOT NULL,
+    "author_id" INTEGER NOT NULL,
+    "attempt_version" INTEGER NOT NULL,
+    "from_status" "SubmissionStatus" NOT NULL,
+    "to_status" "SubmissionStatus" NOT NULL,
+    "comment" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "SubmissionReview_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "SubmissionAttempt_submission_id_version_key" ON "SubmissionAttempt"("submission_id", "version");
+
+-- CreateIndex
+CREATE INDEX "SubmissionReview_submission_id_idx" ON "SubmissionReview"("submission_id");
+
+-- AddForeignKey
+ALTER TABLE "SubmissionAttempt" ADD CONSTRAINT "SubmissionAttempt_submission_id_fkey" FOREIGN KEY ("submission_id") REFERENCES "Submission"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "SubmissionReview" ADD CONSTRAINT "SubmissionReview_submission_id_fkey" FOREIGN KEY ("submission_id") REFERENCES "Submission"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "SubmissionReview" ADD CONSTRAINT "SubmissionReview_author_id_fkey" FOREIGN KEY ("author_id") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- Reprise des données : le lien actuel devient la version 1
+INSERT INTO "SubmissionAttempt" ("submission_id", "version", "link", "created_at")
+SELECT "id", 1, "link", "created_at" FROM "Submission";
+
+-- Le dernier commentaire de mentor existant ouvre le fil de relecture
+INSERT INTO "SubmissionReview" ("submission_id", "author_id", "attempt_version", "from_status", "to_status", "comment", "created_at")
+SELECT "id", "mentor_id", 1, 'PENDING', "status", "mentor_comment", "updated_at"
+FROM "Submission"
+WHERE "mentor_comment" IS NOT NULL AND "mentor_id" IS NOT NULL;
@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "Chapter" ADD COLUMN     "requires_submission" BOOLEAN NOT NULL DEFAULT false;
+
+-- Les chapitres qui ont déjà reçu des soumissions en exigent une
+UPDATE "Chapter" SET "requires_submission" = true
+WHERE "id" IN (SELECT DISTINCT "chapter_id" FROM "Submission");
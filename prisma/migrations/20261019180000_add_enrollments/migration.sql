@@ -0,0 +1,49 @@
+-- CreateEnum
+CREATE TYPE "EnrollmentStatus" AS ENUM ('ACTIVE', 'DROPPED', 'EXPIRED');
+
+-- CreateEnum
+CREATE TYPE "EnrollmentSource" AS ENUM ('SELF', 'ADMIN', 'PURCHASE');
+
+-- CreateTable
+CREATE TABLE "Enrollment" (
+    "id" SERIAL NOT NULL,
+    "user_id" INTEGER NOT NULL,
+    "course_id" INTEGER NOT NULL,
+    "status" "EnrollmentStatus" NOT NULL DEFAULT 'ACTIVE',
+    "source" "EnrollmentSource" NOT NULL DEFAULT 'SELF',
+    "enrolled_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "expires_at" TIMESTAMP(3),
+    "dropped_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Enrollment_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Enrollment_user_id_course_id_key" ON "Enrollment"("user_id", "course_id");
+
+-- CreateIndex
+CREATE INDEX "Enrollment_course_id_idx" ON "Enrollment"("course_id");
+
+-- AddForeignKey
+ALTER TABLE "Enrollment" ADD CONSTRAINT "Enrollment_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Enrollment" ADD CONSTRAINT "Enrollment_course_id_fkey" FOREIGN KEY ("course_id") REFERENCES "Course"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Reprise des données : une inscription active par cours présent dans User.enrolled_courses.
+-- La date réelle d'inscription n'était pas enregistrée : on utilise la date de la migration.
+INSERT INTO "Enrollment" ("user_id", "course_id", "status", "source", "enrolled_at", "updated_at")
+SELECT DISTINCT u."id", c."id", 'ACTIVE'::"EnrollmentStatus", 'SELF'::"EnrollmentSource", CURRENT_TIMESTAMP, CURRENT_TIMESTAMP
+FROM "User" u
+CROSS JOIN LATERAL unnest(u."enrolled_courses") AS enrolled("course_id")
+JOIN "Course" c ON c."id" = enrolled."course_id";
+
+-- Recalcul du compteur, qui dérivait (inscriptions admin non comptées)
+UPDATE "Course" SET "enrolled_count" = (
+    SELECT COUNT(*) FROM "Enrollment" e WHERE e."course_id" = "Course"."id" AND e."status" = 'ACTIVE'
+);
+
+-- AlterTable
+ALTER TABLE "User" DROP COLUMN "enrolled_courses";
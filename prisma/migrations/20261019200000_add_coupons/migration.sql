@@ -0,0 +1,67 @@
+-- CreateEnum
+CREATE TYPE "CouponType" AS ENUM ('PERCENTAGE', 'FIXED');
+
+-- AlterTable
+ALTER TABLE "Order" ADD COLUMN     "coupon_id" INTEGER,
+ADD COLUMN     "discount_amount" DOUBLE PRECISION NOT NULL DEFAULT 0,
+ADD COLUMN     "original_amount" DOUBLE PRECISION;
+
+-- Les commandes existantes n'ont pas de remise
+UPDATE "Order" SET "original_amount" = "amount";
+
+ALTER TABLE "Order" ALTER COLUMN "original_amount" SET NOT NULL;
+
+-- CreateTable
+CREATE TABLE "Coupon" (
+    "id" SERIAL NOT NULL,
+    "code" TEXT NOT NULL,
+    "description" TEXT,
+    "type" "CouponType" NOT NULL,
+    "value" DOUBLE PRECISION NOT NULL,
+    "course_id" INTEGER,
+    "expires_at" TIMESTAMP(3),
+    "max_uses" INTEGER,
+    "max_uses_per_user" INTEGER,
+    "is_active" BOOLEAN NOT NULL DEFAULT true,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Coupon_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "CouponRedemption" (
+    "id" SERIAL NOT NULL,
+    "coupon_id" INTEGER NOT NULL,
+    "user_id" INTEGER NOT NULL,
+    "order_id" INTEGER NOT NULL,
+    "discount_amount" DOUBLE PRECISION NOT NULL,
+    "final_amount" DOUBLE PRECISION NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "CouponRedemption_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Coupon_code_key" ON "Coupon"("code");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "CouponRedemption_order_id_key" ON "CouponRedemption"("order_id");
+
+-- CreateIndex
+CREATE INDEX "CouponRedemption_coupon_id_user_id_idx" ON "CouponRedemption"("coupon_id", "user_id");
+
+-- AddForeignKey
+ALTER TABLE "Order" ADD CONSTRAINT "Order_coupon_id_fkey" FOREIGN KEY ("coupon_id") REFERENCES "Coupon"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Coupon" ADD CONSTRAINT "Coupon_course_id_fkey" FOREIGN KEY ("course_id") REFERENCES "Course"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CouponRedemption" ADD CONSTRAINT "CouponRedemption_coupon_id_fkey" FOREIGN KEY ("coupon_id") REFERENCES "Coupon"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CouponRedemption" ADD CONSTRAINT "CouponRedemption_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CouponRedemption" ADD CONSTRAINT "CouponRedemption_order_id_fkey" FOREIGN KEY ("order_id") REFERENCES "Order"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,79 @@
+-- CreateEnum
+CREATE TYPE "QuizQuestionType" AS ENUM ('MULTIPLE_CHOICE', 'SHORT_ANSWER');
+
+-- CreateTable
+CREATE TABLE "Quiz" (
+    "id" SERIAL NOT NULL,
+    "chapter_id" INTEGER NOT NULL,
+    "title" TEXT NOT NULL,
+    "pass_mark" INTEGER NOT NULL DEFAULT 80,
+    "max_attempts" INTEGER,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Quiz_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "QuizQuestion" (
+    "id" SERIAL NOT NULL,
+    "quiz_id" INTEGER NOT NULL,
+    "type" "QuizQuestionType" NOT NULL,
+    "prompt" TEXT NOT NULL,
+    "position" INTEGER NOT NULL,
+    "points" INTEGER NOT NULL DEFAULT 1,
+    "accepted_answers" TEXT[],
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "QuizQuestion_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "QuizOption" (
+    "id" SERIAL NOT NULL,
+    "question_id" INTEGER NOT NULL,
+    "label" TEXT NOT NULL,
+    "is_correct" BOOLEAN NOT NULL DEFAULT false,
+    "position" INTEGER NOT NULL,
+
+    CONSTRAINT "QuizOption_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "QuizAttempt" (
+    "id" SERIAL NOT NULL,
+    "quiz_id" INTEGER NOT NULL,
+    "user_id" INTEGER NOT NULL,
+    "score" DOUBLE PRECISION NOT NULL,
+    "passed" BOOLEAN NOT NULL,
+    "answers" JSONB NOT NULL,
+    "results" JSONB NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "QuizAttempt_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Quiz_chapter_id_key" ON "Quiz"("chapter_id");
+
+-- CreateIndex
+CREATE INDEX "QuizQuestion_quiz_id_position_idx" ON "QuizQuestion"("quiz_id", "position");
+
+-- CreateIndex
+CREATE INDEX "QuizAttempt_quiz_id_user_id_idx" ON "QuizAttempt"("quiz_id", "user_id");
+
+-- AddForeignKey
+ALTER TABLE "Quiz" ADD CONSTRAINT "Quiz_chapter_id_fkey" FOREIGN KEY ("chapter_id") REFERENCES "Chapter"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "QuizQuestion" ADD CONSTRAINT "QuizQuestion_quiz_id_fkey" FOREIGN KEY ("quiz_id") REFERENCES "Quiz"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "QuizOption" ADD CONSTRAINT "QuizOption_question_id_fkey" FOREIGN KEY ("question_id") REFERENCES "QuizQuestion"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "QuizAttempt" ADD CONSTRAINT "QuizAttempt_quiz_id_fkey" FOREIGN KEY ("quiz_id") REFERENCES "Quiz"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "QuizAttempt" ADD CONSTRAINT "QuizAttempt_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,17 @@
+-- AlterTable
+ALTER TABLE "Course" ADD COLUMN     "sequential" BOOLEAN NOT NULL DEFAULT false;
+
+-- Renumérote les chapitres existants : position d'origine si elle existe, puis ordre de création
+UPDATE "Chapter" AS c
+SET "position" = ordered.rank
+FROM (
+    SELECT "id", ROW_NUMBER() OVER (PARTITION BY "course_id" ORDER BY "position" ASC NULLS LAST, "id" ASC) AS rank
+    FROM "Chapter"
+) AS ordered
+WHERE c."id" = ordered."id";
+
+-- AlterTable
+ALTER TABLE "Chapter" ALTER COLUMN "position" SET NOT NULL;
+
+-- CreateIndex
+CREATE INDEX "Chapter_course_id_position_idx" ON "Chapter"("course_id", "position");
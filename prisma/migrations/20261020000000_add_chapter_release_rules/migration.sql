@@ -0,0 +1,26 @@
+-- AlterEnum
+ALTER TYPE "NotificationType" ADD VALUE 'CHAPTER_UNLOCKED';
+
+-- AlterTable
+ALTER TABLE "Chapter" ADD COLUMN     "release_after_days" INTEGER,
+ADD COLUMN     "release_at" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "ChapterUnlockNotification" (
+    "id" SERIAL NOT NULL,
+    "user_id" INTEGER NOT NULL,
+    "chapter_id" INTEGER NOT NULL,
+    "unlocked_at" TIMESTAMP(3) NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ChapterUnlockNotification_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ChapterUnlockNotification_user_id_chapter_id_key" ON "ChapterUnlockNotification"("user_id", "chapter_id");
+
+-- AddForeignKey
+ALTER TABLE "ChapterUnlockNotification" ADD CONSTRAINT "ChapterUnlockNotification_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ChapterUnlockNotification" ADD CONSTRAINT "ChapterUnlockNotification_chapter_id_fkey" FOREIGN KEY ("chapter_id") REFERENCES "Chapter"("id") ON DELETE CASCADE ON UPDATE CASCADE;
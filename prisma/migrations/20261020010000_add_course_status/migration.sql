@@ -0,0 +1,14 @@
+-- CreateEnum
+CREATE TYPE "CourseStatus" AS ENUM ('DRAFT', 'SCHEDULED', 'PUBLISHED', 'ARCHIVED');
+
+-- AlterTable
+ALTER TABLE "Course" ADD COLUMN     "archived_at" TIMESTAMP(3),
+ADD COLUMN     "publish_at" TIMESTAMP(3),
+ADD COLUMN     "published_at" TIMESTAMP(3),
+ADD COLUMN     "status" "CourseStatus" NOT NULL DEFAULT 'DRAFT';
+
+-- Les cours existants étaient déjà visibles au catalogue
+UPDATE "Course" SET "status" = 'PUBLISHED', "published_at" = "created_at";
+
+-- CreateIndex
+CREATE INDEX "Course_status_publish_at_idx" ON "Course"("status", "publish_at");
@@ -0,0 +1,26 @@
+-- CreateTable
+CREATE TABLE "ChapterRevision" (
+    "id" SERIAL NOT NULL,
+    "chapter_id" INTEGER NOT NULL,
+    "version" INTEGER NOT NULL,
+    "title" TEXT NOT NULL,
+    "content" TEXT NOT NULL,
+    "author_id" INTEGER,
+    "restored_from_version" INTEGER,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ChapterRevision_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ChapterRevision_chapter_id_version_key" ON "ChapterRevision"("chapter_id", "version");
+
+-- AddForeignKey
+ALTER TABLE "ChapterRevision" ADD CONSTRAINT "ChapterRevision_chapter_id_fkey" FOREIGN KEY ("chapter_id") REFERENCES "Chapter"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ChapterRevision" ADD CONSTRAINT "ChapterRevision_author_id_fkey" FOREIGN KEY ("author_id") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Version 1 : état actuel des chapitres existants, auteur inconnu
+INSERT INTO "ChapterRevision" ("chapter_id", "version", "title", "content", "created_at")
+SELECT "id", 1, "title", "content", "updated_at" FROM "Chapter";
@@ -0,0 +1,56 @@
+-- Extensions : similarité trigramme (fautes de frappe) et suppression des accents
+CREATE EXTENSION IF NOT EXISTS "pg_trgm";
+CREATE EXTENSION IF NOT EXISTS "unaccent";
+
+-- CreateTable
+CREATE TABLE "CourseSearch" (
+    "course_id" INTEGER NOT NULL,
+    "document" TEXT NOT NULL,
+    "vector" tsvector NOT NULL,
+    "updated_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "CourseSearch_pkey" PRIMARY KEY ("course_id")
+);
+
+-- CreateIndex
+CREATE INDEX "CourseSearch_vector_idx" ON "CourseSearch" USING GIN ("vector");
+
+-- CreateIndex
+CREATE INDEX "CourseSearch_document_idx" ON "CourseSearch" USING GIN ("document" gin_trgm_ops);
+
+-- AddForeignKey
+ALTER TABLE "CourseSearch" ADD CONSTRAINT "CourseSearch_course_id_fkey" FOREIGN KEY ("course_id") REFERENCES "Course"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Recalcule l'index de recherche d'un cours.
+-- Poids : A titre, B catégorie et tags, C titres des chapitres et description.
+CREATE OR REPLACE FUNCTION refresh_course_search(target_course_id INTEGER) RETURNS VOID AS $$
+    INSERT INTO "CourseSearch" ("course_id", "document", "vector", "updated_at")
+    SELECT
+        c."id",
+        lower(unaccent(concat_ws(' ', c."title", cat."name", tags.names, chapters.titles, c."description"))),
+        setweight(to_tsvector('french', unaccent(coalesce(c."title", ''))), 'A') ||
+        setweight(to_tsvector('french', unaccent(concat_ws(' ', cat."name", tags.names))), 'B') ||
+        setweight(to_tsvector('french', unaccent(concat_ws(' ', chapters.titles, c."description"))), 'C'),
+        CURRENT_TIMESTAMP
+    FROM "Course" AS c
+    JOIN "Category" AS cat ON cat."id" = c."category_id"
+    CROSS JOIN (
+        SELECT string_agg(t."name", ' ') AS names
+        FROM "CourseTag" AS ct
+        JOIN "Tag" AS t ON t."id" = ct."tag_id"
+        WHERE ct."course_id" = target_course_id
+    ) AS tags
+    CROSS JOIN (
+        SELECT string_agg(ch."title", ' ' ORDER BY ch."position") AS titles
+        FROM "Chapter" AS ch
+        WHERE ch."course_id" = target_course_id
+    ) AS chapters
+    WHERE c."id" = target_course_id
+    ON CONFLICT ("course_id") DO UPDATE
+    SET "document" = EXCLUDED."document",
+        "vector" = EXCLUDED."vector",
+        "updated_at" = EXCLUDED."updated_at";
+$$ LANGUAGE sql;
+
+-- Index des cours existants
+SELECT refresh_course_search("id") FROM "Course";
@@ -0,0 +1,20 @@
+-- AlterTable
+ALTER TABLE "Course" ADD COLUMN     "duration_minutes" INTEGER;
+
+-- CreateIndex
+CREATE INDEX "Course_duration_minutes_idx" ON "Course"("duration_minutes");
+
+-- CreateIndex
+CREATE INDEX "Course_price_idx" ON "Course"("price");
+
+-- Durée en minutes des cours existants, tirée du libellé (même règle que parseDurationMinutes)
+UPDATE "Course"
+SET "duration_minutes" = ROUND(
+    COALESCE(replace(substring(lower("duration") from '(\d+(?:[.,]\d+)?)\s*(?:h|heure|hour|hr)'), ',', '.')::numeric * 60, 0)
+    + COALESCE(
+        substring(lower("duration") from '(\d+)\s*(?:min|mn)'),
+        substring(lower("duration") from 'h\s*(\d{1,2})(?:\D|$)'),
+        '0'
+    )::numeric
+)
+WHERE lower("duration") ~ '\d+(?:[.,]\d+)?\s*(?:h|heure|hour|hr|min|mn)';
@@ -0,0 +1,108 @@
+-- CreateEnum
+CREATE TYPE "SurveyQuestionType" AS ENUM ('SINGLE_CHOICE', 'MULTIPLE_CHOICE', 'FREE_TEXT', 'SCALE');
+
+-- AlterTable
+ALTER TABLE "Survey" ADD COLUMN     "form_id" INTEGER,
+ALTER COLUMN "learning_goal" DROP NOT NULL,
+ALTER COLUMN "motivation" DROP NOT NULL,
+ALTER COLUMN "skill_level" DROP NOT NULL,
+ALTER COLUMN "usage_goal" DROP NOT NULL,
+ALTER COLUMN "value_range" DROP NOT NULL;
+
+-- CreateTable
+CREATE TABLE "SurveyForm" (
+    "id" SERIAL NOT NULL,
+    "title" TEXT NOT NULL,
+    "description" TEXT,
+    "is_active" BOOLEAN NOT NULL DEFAULT false,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "SurveyForm_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "SurveyQuestion" (
+    "id" SERIAL NOT NULL,
+    "form_id" INTEGER NOT NULL,
+    "key" TEXT,
+    "type" "SurveyQuestionType" NOT NULL,
+    "prompt" TEXT NOT NULL,
+    "position" INTEGER NOT NULL,
+    "required" BOOLEAN NOT NULL DEFAULT true,
+    "scale_min" INTEGER,
+    "scale_max" INTEGER,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "SurveyQuestion_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "SurveyQuestionOption" (
+    "id" SERIAL NOT NULL,
+    "question_id" INTEGER NOT NULL,
+    "label" TEXT NOT NULL,
+    "position" INTEGER NOT NULL,
+
+    CONSTRAINT "SurveyQuestionOption_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "SurveyAnswer" (
+    "id" SERIAL NOT NULL,
+    "survey_id" INTEGER NOT NULL,
+    "question_id" INTEGER NOT NULL,
+    "option_ids" INTEGER[],
+    "text" TEXT,
+    "scale_value" INTEGER,
+
+    CONSTRAINT "SurveyAnswer_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Survey_form_id_idx" ON "Survey"("form_id");
+
+-- CreateIndex
+CREATE INDEX "SurveyQuestion_form_id_position_idx" ON "SurveyQuestion"("form_id", "position");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "SurveyQuestion_form_id_key_key" ON "SurveyQuestion"("form_id", "key");
+
+-- CreateIndex
+CREATE INDEX "SurveyAnswer_question_id_idx" ON "SurveyAnswer"("question_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "SurveyAnswer_survey_id_question_id_key" ON "SurveyAnswer"("survey_id", "question_id");
+
+-- AddForeignKey
+ALTER TABLE "Survey" ADD CONSTRAINT "Survey_form_id_fkey" FOREIGN KEY ("form_id") REFERENCES "SurveyForm"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "SurveyQuestion" ADD CONSTRAINT "SurveyQuestion_form_id_fkey" FOREIGN KEY ("form_id") REFERENCES "SurveyForm"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "SurveyQuestionOption" ADD CONSTRAINT "SurveyQuestionOption_question_id_fkey" FOREIGN KEY ("question_id") REFERENCES "SurveyQuestion"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "SurveyAnswer" ADD CONSTRAINT "SurveyAnswer_survey_id_fkey" FOREIGN KEY ("survey_id") REFERENCES "Survey"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "SurveyAnswer" ADD CONSTRAINT "SurveyAnswer_question_id_fkey" FOREIGN KEY ("question_id") REFERENCES "SurveyQuestion"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- Questionnaire actif par défaut : les cinq questions de l'ancien sondage fixe, en texte libre
+WITH form AS (
+    INSERT INTO "SurveyForm" ("title", "is_active", "updated_at")
+    VALUES ('Sondage de formation', true, CURRENT_TIMESTAMP)
+    RETURNING "id"
+)
+INSERT INTO "SurveyQuestion" ("form_id", "key", "type", "prompt", "position", "updated_at")
+SELECT form."id", question."key", 'FREE_TEXT', question."prompt", question."position", CURRENT_TIMESTAMP
+FROM form
+CROSS JOIN (VALUES
+    ('learning_goal', 'Domaine d''intérêt', 0),
+    ('motivation', 'Motivation', 1),
+    ('skill_level', 'Niveau actuel', 2),
+    ('usage_goal', 'Objectif d''utilisation', 3),
+    ('value_range', 'Besoin d''un mentor', 4)
+) AS question ("key", "prompt", "position");
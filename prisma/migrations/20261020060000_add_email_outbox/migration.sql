@@ -0,0 +1,32 @@
+-- CreateEnum
+CREATE TYPE "EmailStatus" AS ENUM ('PENDING', 'SENDING', 'SENT', 'FAILED');
+
+-- CreateTable
+CREATE TABLE "EmailMessage" (
+    "id" SERIAL NOT NULL,
+    "to_email" TEXT NOT NULL,
+    "to_name" TEXT,
+    "from_email" TEXT NOT NULL,
+    "from_name" TEXT NOT NULL,
+    "subject" TEXT NOT NULL,
+    "html" TEXT NOT NULL,
+    "status" "EmailStatus" NOT NULL DEFAULT 'PENDING',
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "max_attempts" INTEGER NOT NULL,
+    "next_attempt_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "last_attempt_at" TIMESTAMP(3),
+    "last_error" TEXT,
+    "transport" TEXT,
+    "provider_message_id" TEXT,
+    "sent_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "EmailMessage_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "EmailMessage_status_next_attempt_at_idx" ON "EmailMessage"("status", "next_attempt_at");
+
+-- CreateIndex
+CREATE INDEX "EmailMessage_to_email_idx" ON "EmailMessage"("to_email");
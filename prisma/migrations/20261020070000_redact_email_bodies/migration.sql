@@ -0,0 +1,12 @@
+-- AlterTable
+ALTER TABLE "EmailMessage" ALTER COLUMN "html" DROP NOT NULL,
+ADD COLUMN     "sensitive" BOOLEAN NOT NULL DEFAULT false;
+
+-- Les messages existants avec un lien à usage unique (réinitialisation, déverrouillage, vérification) sont sensibles
+UPDATE "EmailMessage" SET "sensitive" = true
+WHERE "html" LIKE '%/reset-password?token=%'
+  OR "html" LIKE '%/unlock-account?token=%'
+  OR "html" LIKE '%/verify-email?token=%';
+
+-- Comme à l'exécution : corps effacé une fois envoyé, et pour un message abandonné seulement s'il est sensible
+UPDATE "EmailMessage" SET "html" = NULL WHERE "status" = 'SENT' OR ("status" = 'FAILED' AND "sensitive");
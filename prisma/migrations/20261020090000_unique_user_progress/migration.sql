@@ -0,0 +1,19 @@
+-- Fusionne les progressions en double (même utilisateur, même cours) dans la plus ancienne
+UPDATE "UserProgress" AS "kept"
+SET "completed_chapters" = ARRAY(
+  SELECT DISTINCT "chapter"
+  FROM "UserProgress" AS "other", unnest("other"."completed_chapters") AS "chapter"
+  WHERE "other"."user_id" = "kept"."user_id" AND "other"."course_id" = "kept"."course_id"
+)
+WHERE "kept"."id" IN (
+  SELECT MIN("id") FROM "UserProgress" GROUP BY "user_id", "course_id" HAVING COUNT(*) > 1
+);
+
+DELETE FROM "UserProgress" AS "duplicate"
+USING "UserProgress" AS "kept"
+WHERE "duplicate"."user_id" = "kept"."user_id"
+  AND "duplicate"."course_id" = "kept"."course_id"
+  AND "duplicate"."id" > "kept"."id";
+
+-- CreateIndex
+CREATE UNIQUE INDEX "UserProgress_user_id_course_id_key" ON "UserProgress"("user_id", "course_id");
@@ -6,11 +6,17 @@ import RegistrationRoutes from './src/handlers/Registration.js';
 import { errorHandler } from './src/middleware/errorHandler.js';
 import AdminRoutes from './src/handlers/admin.js';
 import SurveyRoutes from './src/handlers/survey.js';
+import CronRoutes from './src/handlers/cron.js';
+import PaymentRoutes from './src/handlers/payments.js';
+import CertificateRoutes from './src/handlers/certificates.js';
 
 config();
 
 const app = express();
 
+// Derrière le proxy de Vercel : req.ip doit refléter l'adresse du client (limitation par IP)
+app.set('trust proxy', 1);
+
 // Configuration CORS
 const corsOptions = {
   origin: ['https://bootcamp.africasamurai.com', 'http://localhost:5173'],
@@ -23,12 +29,20 @@ const corsOptions = {
 // Appliquer CORS à toutes les routes
 app.use(cors(corsOptions));
 
-app.use(express.json());
+// Le corps brut est conservé pour vérifier la signature des webhooks de paiement
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 
 app.use('/courses', CoursesRoutes);
 app.use('/auth', RegistrationRoutes);
 app.use('/admin', AdminRoutes);
 app.use('/survey', SurveyRoutes);
+app.use('/cron', CronRoutes);
+app.use('/payments', PaymentRoutes);
+app.use('/certificates', CertificateRoutes);
 
 // Error handling middleware
 app.use(errorHandler);
@@ -0,0 +1,28 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { config } from 'dotenv';
+
+config();
+
+// Transport de développement : aucun envoi, chaque email est écrit en HTML dans EMAIL_FILE_DIR
+// (dossier temporaire du système par défaut) et signalé dans la console.
+const EMAIL_FILE_DIR = process.env.EMAIL_FILE_DIR || path.join(os.tmpdir(), 'aiboost-emails');
+
+const fileTransport = {
+  name: 'file',
+
+  async send({ from, to, subject, html, messageId }) {
+    await fs.mkdir(EMAIL_FILE_DIR, { recursive: true });
+
+    const file = path.join(EMAIL_FILE_DIR, `${Date.now()}-${messageId}.html`);
+    const header = `<!--\nFrom: ${from.name} <${from.email}>\nTo: ${to.name || ''} <${to.email}>\nSubject: ${subject}\n-->\n`;
+    await fs.writeFile(file, header + html);
+
+    console.log(`[email] ${subject} -> ${to.email} (${file})`);
+
+    return { messageId: file };
+  }
+};
+
+export default fileTransport;
@@ -0,0 +1,193 @@
+import { PrismaClient } from '@prisma/client';
+import { config } from 'dotenv';
+
+config();
+
+const prisma = new PrismaClient();
+
+// Un transport implémente :
+//   name                                          identifiant enregistré dans EmailMessage.transport
+//   send({ from, to, subject, html, messageId })  -> { messageId }, lève une erreur si l'envoi échoue
+// Les transports sont chargés à la première utilisation : seul celui qui est sélectionné
+// a besoin de sa configuration (clés Mailjet, serveur SMTP).
+const transportLoaders = {
+  mailjet: () => import('./mailjetTransport.js'),
+  smtp: () => import('./smtpTransport.js'),
+  file: () => import('./fileTransport.js')
+};
+
+const loadedTransports = new Map();
+
+const EMAIL_FROM = {
+  email: process.env.EMAIL_FROM_ADDRESS || 'birotori@gmail.com',
+  name: process.env.EMAIL_FROM_NAME || 'AI Boost'
+};
+
+const MAX_ATTEMPTS = parseInt(process.env.EMAIL_MAX_ATTEMPTS) || 6;
+const RETRY_BASE_SECONDS = parseInt(process.env.EMAIL_RETRY_BASE_SECONDS) || 60;
+const RETRY_MAX_SECONDS = 6 * 60 * 60;
+// Un envoi resté en SENDING plus longtemps a été interrompu (fonction arrêtée en cours d'envoi)
+const SENDING_TIMEOUT_MINUTES = 10;
+// Attente maximale du premier envoi dans la requête ; au-delà, le worker prend le relais
+const INLINE_SEND_TIMEOUT_MS = parseInt(process.env.EMAIL_INLINE_TIMEOUT_MS) || 3000;
+
+const emailError = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+export const getEmailTransport = async (name = process.env.EMAIL_TRANSPORT || 'mailjet') => {
+  const loadTransport = transportLoaders[name];
+
+  if (!loadTransport) {
+    throw emailError(`Unknown email transport: ${name}`, 500);
+  }
+
+  if (!loadedTransports.has(name)) {
+    loadedTransports.set(name, (await loadTransport()).default);
+  }
+
+  return loadedTransports.get(name);
+};
+
+// Délai avant la tentative suivante : base, 2 × base, 4 × base... plafonné à 6 heures
+export const retryDelaySeconds = (attempts) => {
+  return Math.min(RETRY_BASE_SECONDS * 2 ** (attempts - 1), RETRY_MAX_SECONDS);
+};
+
+// sensitive : le corps contient un lien à usage unique (réinitialisation, déverrouillage, vérification).
+// Il n'est conservé que le temps de l'envoi et n'est jamais montré aux administrateurs.
+export const queueEmail = ({ to, name, subject, html, sensitive = false }) => {
+  return prisma.emailMessage.create({
+    data: {
+      to_email: to,
+      to_name: name || null,
+      from_email: EMAIL_FROM.email,
+      from_name: EMAIL_FROM.name,
+      subject,
+      html,
+      sensitive,
+      max_attempts: MAX_ATTEMPTS
+    }
+  });
+};
+
+// Une tentative d'envoi. Le message est d'abord réservé (PENDING -> SENDING) par une mise à jour
+// conditionnelle : deux workers concurrents n'envoient jamais le même email.
+// Les erreurs du transport sont enregistrées sur le message, jamais propagées.
+export const deliverEmail = async (message) => {
+  const claimed = await prisma.emailMessage.updateMany({
+    where: { id: message.id, status: 'PENDING' },
+    data: { status: 'SENDING', attempts: { increment: 1 }, last_attempt_at: new Date() }
+  });
+
+  if (claimed.count === 0) {
+    return null;
+  }
+
+  const attempts = message.attempts + 1;
+
+  try {
+    const transport = await getEmailTransport();
+    const { messageId } = await transport.send({
+      from: { email: message.from_email, name: message.from_name },
+      to: { email: message.to_email, name: message.to_name },
+      subject: message.subject,
+      html: message.html,
+      messageId: message.id
+    });
+
+    return prisma.emailMessage.update({
+      where: { id: message.id },
+      data: {
+        status: 'SENT',
+        html: null,
+        transport: transport.name,
+        provider_message_id: messageId ? String(messageId) : null,
+        sent_at: new Date(),
+        last_error: null
+      }
+    });
+  } catch (error) {
+    const givesUp = attempts >= message.max_attempts;
+
+    return prisma.emailMessage.update({
+      where: { id: message.id },
+      data: {
+        status: givesUp ? 'FAILED' : 'PENDING',
+        html: givesUp && message.sensitive ? null : undefined,
+        last_error: String(error?.message || error).slice(0, 1000),
+        next_attempt_at: givesUp ? message.next_attempt_at : new Date(Date.now() + retryDelaySeconds(attempts) * 1000)
+      }
+    });
+  }
+};
+
+// Met l'email dans la file et tente un premier envoi tout de suite, sans attendre plus de
+// INLINE_SEND_TIMEOUT_MS : un fournisseur lent ne bloque pas la requête. En cas d'échec ou de délai dépassé,
+// le worker (cron process-email-outbox) réessaie plus tard. Seule l'écriture en base peut échouer.
+export const sendEmail = async (email) => {
+  const message = await queueEmail(email);
+
+  const delivery = deliverEmail(message).catch((error) => {
+    console.error('Email delivery error:', error);
+    return null;
+  });
+
+  let timer;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(() => resolve(null), INLINE_SEND_TIMEOUT_MS);
+  });
+
+  try {
+    return (await Promise.race([delivery, timeout])) || message;
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+// Worker : envoie les messages dus, par ordre d'échéance
+export const processOutbox = async ({ limit = 50 } = {}) => {
+  await prisma.emailMessage.updateMany({
+    where: {
+      status: 'SENDING',
+      last_attempt_at: { lt: new Date(Date.now() - SENDING_TIMEOUT_MINUTES * 60 * 1000) }
+    },
+    data: { status: 'PENDING' }
+  });
+
+  const due = await prisma.emailMessage.findMany({
+    where: { status: 'PENDING', next_attempt_at: { lte: new Date() } },
+    orderBy: { next_attempt_at: 'asc' },
+    take: limit
+  });
+
+  const results = [];
+  for (const message of due) {
+    const delivered = await deliverEmail(message);
+    if (delivered) {
+      results.push({ id: delivered.id, status: delivered.status, attempts: delivered.attempts });
+    }
+  }
+
+  return results;
+};
+
+// Relance manuelle d'un message abandonné : il repart avec un nouveau jeu de tentatives
+export const retryEmail = async (message) => {
+  if (message.status !== 'FAILED') {
+    throw emailError('Only failed emails can be retried', 409);
+  }
+
+  if (message.html === null) {
+    throw emailError('The body of this email was discarded, it can no longer be resent', 409);
+  }
+
+  const updated = await prisma.emailMessage.update({
+    where: { id: message.id },
+    data: {
+      status: 'PENDING',
+      max_attempts: message.attempts + MAX_ATTEMPTS,
+      next_attempt_at: new Date()
+    }
+  });
+
+  return (await deliverEmail(updated)) || updated;
+};
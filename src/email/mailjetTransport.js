@@ -0,0 +1,32 @@
+import Mailjet from 'node-mailjet';
+import { config } from 'dotenv';
+
+config();
+
+const mailjet = Mailjet.apiConnect(
+  process.env.MAILJET_API_KEY,
+  process.env.MAILJET_API_SECRET
+);
+
+const mailjetTransport = {
+  name: 'mailjet',
+
+  async send({ from, to, subject, html }) {
+    const response = await mailjet
+      .post('send', { version: 'v3.1' })
+      .request({
+        Messages: [
+          {
+            From: { Email: from.email, Name: from.name },
+            To: [{ Email: to.email, Name: to.name }],
+            Subject: subject,
+            HTMLPart: html
+          }
+        ]
+      });
+
+    return { messageId: response.body?.Messages?.[0]?.To?.[0]?.MessageUUID ?? null };
+  }
+};
+
+export default mailjetTransport;
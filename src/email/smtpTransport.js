@@ -0,0 +1,31 @@
+import nodemailer from 'nodemailer';
+import { config } from 'dotenv';
+
+config();
+
+// SMTP_HOST, SMTP_PORT (587 par défaut), SMTP_SECURE ("true" pour le port 465), SMTP_USER, SMTP_PASSWORD
+const transporter = nodemailer.createTransport({
+  host: process.env.SMTP_HOST,
+  port: parseInt(process.env.SMTP_PORT) || 587,
+  secure: process.env.SMTP_SECURE === 'true',
+  auth: process.env.SMTP_USER
+    ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+    : undefined
+});
+
+const smtpTransport = {
+  name: 'smtp',
+
+  async send({ from, to, subject, html }) {
+    const info = await transporter.sendMail({
+      from: { address: from.email, name: from.name },
+      to: { address: to.email, name: to.name },
+      subject,
+      html
+    });
+
+    return { messageId: info.messageId ?? null };
+  }
+};
+
+export default smtpTransport;
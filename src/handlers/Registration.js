@@ -2,17 +2,127 @@ import express, { Router } from 'express';
 import { PrismaClient } from '@prisma/client';
 import { config } from 'dotenv';
 import bcrypt from 'bcryptjs';
-import { generateToken } from '../utils/utils.js';
+import {
+  generateRandomToken,
+  hashToken,
+  generateEmailVerificationToken,
+  verifyEmailVerificationToken,
+  SendEmail
+} from '../utils/utils.js';
 import { successResponse, errorResponse } from '../utils/apiResponses.js';
-import { authMiddleware } from '../utils/utils.js';
+import { authMiddleware, checkSuspension, suspensionMessage } from '../utils/utils.js';
+import {
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  findSessionIdByRefreshToken
+} from '../utils/sessions.js';
+import { passwordResetEmailHTML, emailVerificationHTML, accountLockedEmailHTML } from '../utils/mailHTML.js';
+import { createRateLimiter } from '../utils/rateLimiter.js';
+import { validate } from '../middleware/validate.js';
+import {
+  registerSchema,
+  loginSchema,
+  refreshTokenSchema,
+  verifyEmailSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  unlockAccountSchema,
+  getUserSchema,
+  updateUserSchema,
+  notificationPreferencesSchema
+} from '../validators/auth.js';
+import { getNotificationPreferences, updateNotificationPreferences } from '../utils/notifications.js';
+import { getActiveCourseIds } from '../utils/enrollments.js';
 
 config();
 
 const prisma = new PrismaClient();
 const RegistrationRoutes = Router();
 
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+const VERIFICATION_RESEND_COOLDOWN_SECONDS = parseInt(process.env.VERIFICATION_RESEND_COOLDOWN_SECONDS) || 60;
+const LOGIN_MAX_FAILED_ATTEMPTS = parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS) || 5;
+const LOGIN_LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+const INVALID_CREDENTIALS_MESSAGE = 'Invalid email or password';
+
+// Hash bcrypt d'un mot de passe aléatoire, comparé quand l'email est inconnu
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync(generateRandomToken(), 10);
+
+const loginIpLimiter = createRateLimiter({
+  name: 'login-ip',
+  windowMs: 15 * 60 * 1000,
+  max: parseInt(process.env.LOGIN_RATE_LIMIT_PER_IP) || 20
+});
+
+const loginAccountLimiter = createRateLimiter({
+  name: 'login-account',
+  windowMs: 15 * 60 * 1000,
+  max: parseInt(process.env.LOGIN_RATE_LIMIT_PER_ACCOUNT) || 10
+});
+
+// Compte un échec de connexion ; au seuil, verrouille le compte et envoie un lien de déverrouillage
+const recordFailedLogin = async (user) => {
+  const updatedUser = await prisma.user.update({
+    where: { id: user.id },
+    data: { failed_login_attempts: { increment: 1 } }
+  });
+
+  if (updatedUser.failed_login_attempts < LOGIN_MAX_FAILED_ATTEMPTS) {
+    return;
+  }
+
+  const unlockToken = generateRandomToken();
+  const lockedUntil = new Date(Date.now() + LOGIN_LOCKOUT_MINUTES * 60 * 1000);
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: {
+      failed_login_attempts: 0,
+      locked_until: lockedUntil,
+      unlock_token_hash: hashToken(unlockToken)
+    }
+  });
+
+  try {
+    await SendEmail({
+      mail: user.email,
+      name: user.full_name,
+      subject: 'Votre compte AI Boost a été temporairement verrouillé',
+      sensitive: true,
+      HTMLPart: accountLockedEmailHTML({
+        user,
+        unlockUrl: `${process.env.REACT_APP_URL}/unlock-account?token=${unlockToken}`,
+        lockoutMinutes: LOGIN_LOCKOUT_MINUTES
+      })
+    });
+  } catch (mailError) {
+    console.error('Account locked email error:', mailError);
+  }
+};
+
+// Envoie le lien de vérification et mémorise l'heure d'envoi (utilisée pour limiter les renvois)
+const sendVerificationEmail = async (user) => {
+  const token = generateEmailVerificationToken(user);
+  const verifyUrl = `${process.env.REACT_APP_URL}/verify-email?token=${token}`;
+
+  await SendEmail({
+    mail: user.email,
+    name: user.full_name,
+    subject: 'Confirmez votre adresse e-mail AI Boost',
+    sensitive: true,
+    HTMLPart: emailVerificationHTML({ user, verifyUrl })
+  });
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { verification_email_sent_at: new Date() }
+  });
+};
+
 // Register new user
-RegistrationRoutes.post('/register', async (req, res) => {
+RegistrationRoutes.post('/register', validate(registerSchema), async (req, res) => {
   const { email, password, username, full_name } = req.body;
 
   try {
@@ -42,14 +152,22 @@ RegistrationRoutes.post('/register', async (req, res) => {
         email: true,
         username: true,
         full_name: true,
-        role: true
+        role: true,
+        email_verified_at: true
       }
     });
 
-    // Générer le token
-    const token = generateToken(newUser);
+    // L'inscription reste valide même si l'email de vérification échoue : il pourra être renvoyé
+    try {
+      await sendVerificationEmail(newUser);
+    } catch (mailError) {
+      console.error('Verification email error:', mailError);
+    }
+
+    // Ouvrir une session et générer les tokens
+    const { token, refreshToken } = await createSession(newUser, req);
 
-    successResponse(res, { token, user: newUser }, "User registered successfully", 201);
+    successResponse(res, { token, refreshToken, user: newUser }, "User registered successfully", 201);
   } catch (error) {
     console.error('Registration error:', error);
     errorResponse(res, 'Registration failed', 400, error);
@@ -57,22 +175,55 @@ RegistrationRoutes.post('/register', async (req, res) => {
 });
 
 // Login user
-RegistrationRoutes.post('/login', async (req, res) => {
+RegistrationRoutes.post('/login', loginIpLimiter.middleware(req => req.ip), validate(loginSchema), async (req, res) => {
   const { email, password } = req.body;
+  const accountKey = email.toLowerCase();
+
+  // Limite par compte, appliquée aussi aux emails inconnus pour ne rien révéler.
+  // Comme le middleware, le limiteur laisse passer la requête s'il est indisponible.
+  try {
+    const accountLimit = await loginAccountLimiter.consume(accountKey);
+    if (!accountLimit.allowed) {
+      res.set('Retry-After', String(accountLimit.retryAfter));
+      return errorResponse(res, 'Too many login attempts, please try again later', 429);
+    }
+  } catch (limiterError) {
+    console.error('Rate limiter error:', limiterError);
+  }
 
   try {
     const user = await prisma.user.findUnique({
       where: { email }
     });
 
-    if (!user) {
-      return res.status(404).json({ message: "User with this email not found" });
+    // Toujours comparer un hash pour que le temps de réponse ne trahisse pas l'existence du compte
+    const validPassword = await bcrypt.compare(password, user ? user.password : DUMMY_PASSWORD_HASH);
+    const isLocked = Boolean(user?.locked_until && user.locked_until > new Date());
+
+    if (!user || isLocked || !validPassword) {
+      if (user && !isLocked) {
+        await recordFailedLogin(user);
+      }
+      return errorResponse(res, INVALID_CREDENTIALS_MESSAGE, 401);
+    }
+
+    // Seuls les échecs restent comptés contre le compte
+    try {
+      await loginAccountLimiter.reset(accountKey);
+    } catch (limiterError) {
+      console.error('Rate limiter error:', limiterError);
+    }
+
+    if (user.failed_login_attempts > 0 || user.locked_until) {
+      await prisma.user.update({
+        where: { id: user.id },
+        data: { failed_login_attempts: 0, locked_until: null, unlock_token_hash: null }
+      });
     }
 
-    // Vérifier le mot de passe
-    const validPassword = await bcrypt.compare(password, user.password);
-    if (!validPassword) {
-      return res.status(400).json({ error: 'Invalid email or password' });
+    // Refuser la connexion d'un compte suspendu (sauf si la suspension est arrivée à échéance)
+    if (await checkSuspension(user)) {
+      return errorResponse(res, suspensionMessage(user), 403);
     }
 
     // Créer une version de l'utilisateur sans le mot de passe
@@ -82,22 +233,299 @@ RegistrationRoutes.post('/login', async (req, res) => {
       username: user.username,
       full_name: user.full_name,
       role: user.role,
-      enrolled_courses: user.enrolled_courses
+      enrolled_courses: await getActiveCourseIds(user.id),
+      email_verified_at: user.email_verified_at
     };
 
-    // Générer un token JWT
-    const token = generateToken(userWithoutPassword);
+    // Ouvrir une session : jeton d'accès de courte durée + refresh token
+    const { token, refreshToken } = await createSession(userWithoutPassword, req);
 
-    res.json({ message: "Login successful", token, user: userWithoutPassword });
+    res.json({ message: "Login successful", token, refreshToken, user: userWithoutPassword });
   } catch (error) {
     res.status(400).json({ error: error.message });
   }
 });
 
+// Unlock an account locked after repeated failed logins
+RegistrationRoutes.post('/unlock-account', validate(unlockAccountSchema), async (req, res) => {
+  const { token } = req.body;
+
+  try {
+    const unlocked = await prisma.user.updateMany({
+      where: { unlock_token_hash: hashToken(token) },
+      data: { failed_login_attempts: 0, locked_until: null, unlock_token_hash: null }
+    });
+
+    if (unlocked.count === 0) {
+      return errorResponse(res, 'Invalid or expired unlock token', 400);
+    }
+
+    successResponse(res, null, 'Account unlocked successfully');
+  } catch (error) {
+    errorResponse(res, 'Failed to unlock account', 500, error);
+  }
+});
+
+// Exchange a refresh token for a new token pair
+RegistrationRoutes.post('/refresh', validate(refreshTokenSchema), async (req, res) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken) {
+    return errorResponse(res, 'Refresh token is required', 400);
+  }
+
+  try {
+    const { token, refreshToken: newRefreshToken } = await rotateRefreshToken(refreshToken);
+
+    successResponse(res, { token, refreshToken: newRefreshToken }, 'Token refreshed successfully');
+  } catch (error) {
+    errorResponse(res, error.statusCode ? error.message : 'Failed to refresh token', error.statusCode || 500, error);
+  }
+});
+
+// Log out the current device
+RegistrationRoutes.post('/logout', validate(refreshTokenSchema), async (req, res) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken) {
+    return errorResponse(res, 'Refresh token is required', 400);
+  }
+
+  try {
+    const sessionId = await findSessionIdByRefreshToken(refreshToken);
+
+    if (sessionId) {
+      await revokeSession(sessionId);
+    }
+
+    successResponse(res, null, 'Logged out successfully');
+  } catch (error) {
+    errorResponse(res, 'Failed to log out', 500, error);
+  }
+});
+
+// Log out all devices
+RegistrationRoutes.post('/logout-all', authMiddleware, async (req, res) => {
+  try {
+    await revokeAllSessions(req.userId);
+
+    successResponse(res, null, 'Logged out from all devices successfully');
+  } catch (error) {
+    errorResponse(res, 'Failed to log out from all devices', 500, error);
+  }
+});
+
+// Verify email address
+RegistrationRoutes.post('/verify-email', validate(verifyEmailSchema), async (req, res) => {
+  const { token } = req.body;
+
+  if (!token) {
+    return errorResponse(res, 'Verification token is required', 400);
+  }
+
+  let payload;
+  try {
+    payload = verifyEmailVerificationToken(token);
+  } catch (error) {
+    return errorResponse(res, 'Invalid or expired verification token', 400);
+  }
+
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: payload.userId }
+    });
+
+    // Le lien n'est plus valable si l'adresse a changé depuis son envoi
+    if (!user || user.email !== payload.email) {
+      return errorResponse(res, 'Invalid or expired verification token', 400);
+    }
+
+    if (user.email_verified_at) {
+      return successResponse(res, { email_verified_at: user.email_verified_at }, 'Email already verified');
+    }
+
+    const updatedUser = await prisma.user.update({
+      where: { id: user.id },
+      data: { email_verified_at: new Date() },
+      select: { email_verified_at: true }
+    });
+
+    successResponse(res, updatedUser, 'Email verified successfully');
+  } catch (error) {
+    errorResponse(res, 'Failed to verify email', 500, error);
+  }
+});
+
+// Resend verification email
+RegistrationRoutes.post('/resend-verification', authMiddleware, async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.userId }
+    });
+
+    if (!user) {
+      return errorResponse(res, 'User not found', 404);
+    }
+
+    if (user.email_verified_at) {
+      return errorResponse(res, 'Email already verified', 400);
+    }
+
+    if (user.verification_email_sent_at) {
+      const elapsedSeconds = (Date.now() - user.verification_email_sent_at.getTime()) / 1000;
+      if (elapsedSeconds < VERIFICATION_RESEND_COOLDOWN_SECONDS) {
+        const retryAfter = Math.ceil(VERIFICATION_RESEND_COOLDOWN_SECONDS - elapsedSeconds);
+        res.set('Retry-After', String(retryAfter));
+        return errorResponse(res, `Please wait ${retryAfter} seconds before requesting another email`, 429);
+      }
+    }
+
+    await sendVerificationEmail(user);
+
+    successResponse(res, null, 'Verification email sent');
+  } catch (error) {
+    errorResponse(res, 'Failed to resend verification email', 500, error);
+  }
+});
+
+// Request a password reset email
+RegistrationRoutes.post('/forgot-password', validate(forgotPasswordSchema), async (req, res) => {
+  const { email } = req.body;
+
+  if (!email) {
+    return errorResponse(res, 'Email is required', 400);
+  }
+
+  try {
+    const user = await prisma.user.findUnique({
+      where: { email }
+    });
+
+    // Même réponse que le compte existe ou non, pour ne pas révéler les emails enregistrés
+    if (user) {
+      const token = generateRandomToken();
+
+      // Un nouveau jeton invalide tous les jetons encore en attente
+      await prisma.$transaction([
+        prisma.passwordResetToken.deleteMany({
+          where: { user_id: user.id, used_at: null }
+        }),
+        prisma.passwordResetToken.create({
+          data: {
+            user_id: user.id,
+            token_hash: hashToken(token),
+            expires_at: new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000)
+          }
+        })
+      ]);
+
+      const resetUrl = `${process.env.REACT_APP_URL}/reset-password?token=${token}`;
+
+      await SendEmail({
+        mail: user.email,
+        name: user.full_name,
+        subject: 'Réinitialisation de votre mot de passe AI Boost',
+        sensitive: true,
+        HTMLPart: passwordResetEmailHTML({ user, resetUrl, expiresInMinutes: PASSWORD_RESET_TTL_MINUTES })
+      });
+    }
+
+    successResponse(res, null, 'If an account exists for this email, a reset link has been sent');
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    errorResponse(res, 'Failed to process password reset request', 500, error);
+  }
+});
+
+// Reset password with a reset token
+RegistrationRoutes.post('/reset-password', validate(resetPasswordSchema), async (req, res) => {
+  const { token, password } = req.body;
+
+  if (!token || !password) {
+    return errorResponse(res, 'Token and new password are required', 400);
+  }
+
+  try {
+    const resetToken = await prisma.passwordResetToken.findUnique({
+      where: { token_hash: hashToken(token) }
+    });
+
+    if (!resetToken || resetToken.used_at || resetToken.expires_at < new Date()) {
+      return errorResponse(res, 'Invalid or expired reset token', 400);
+    }
+
+    const hashedPassword = await bcrypt.hash(password, 10);
+
+    const reset = await prisma.$transaction(async (tx) => {
+      // Réclamer le jeton de façon atomique : une seule requête concurrente peut l'utiliser
+      const claimed = await tx.passwordResetToken.updateMany({
+        where: { id: resetToken.id, used_at: null },
+        data: { used_at: new Date() }
+      });
+
+      if (claimed.count === 0) {
+        return false;
+      }
+
+      // Le nouveau mot de passe lève aussi un éventuel verrouillage
+      await tx.user.update({
+        where: { id: resetToken.user_id },
+        data: {
+          password: hashedPassword,
+          failed_login_attempts: 0,
+          locked_until: null,
+          unlock_token_hash: null
+        }
+      });
+
+      // Invalider les autres jetons encore en attente
+      await tx.passwordResetToken.deleteMany({
+        where: { user_id: resetToken.user_id, used_at: null }
+      });
+
+      return true;
+    });
+
+    if (!reset) {
+      return errorResponse(res, 'Invalid or expired reset token', 400);
+    }
+
+    // Un nouveau mot de passe déconnecte tous les appareils
+    await revokeAllSessions(resetToken.user_id);
+
+    successResponse(res, null, 'Password reset successfully');
+  } catch (error) {
+    console.error('Reset password error:', error);
+    errorResponse(res, 'Failed to reset password', 500, error);
+  }
+});
+
+// Get notification preferences
+RegistrationRoutes.get('/notification-preferences', authMiddleware, async (req, res) => {
+  try {
+    const preferences = await getNotificationPreferences(req.userId);
+
+    successResponse(res, preferences, 'Notification preferences retrieved successfully');
+  } catch (error) {
+    errorResponse(res, 'Failed to retrieve notification preferences', 500, error);
+  }
+});
+
+// Opt in or out of notification types
+RegistrationRoutes.put('/notification-preferences', authMiddleware, validate(notificationPreferencesSchema), async (req, res) => {
+  try {
+    const preferences = await updateNotificationPreferences(req.userId, req.body);
+
+    successResponse(res, preferences, 'Notification preferences updated successfully');
+  } catch (error) {
+    errorResponse(res, 'Failed to update notification preferences', 500, error);
+  }
+});
+
 // Get user profile
-RegistrationRoutes.get('/users/:id', authMiddleware, async (req, res) => {
+RegistrationRoutes.get('/users/:id', authMiddleware, validate(getUserSchema), async (req, res) => {
   try {
-    if (req.params.id !== req.userId.toString()) {
+    if (req.params.id !== req.userId) {
       return errorResponse(res, 'Unauthorized access', 403);
     }
 
@@ -109,7 +537,7 @@ RegistrationRoutes.get('/users/:id', authMiddleware, async (req, res) => {
         username: true,
         full_name: true,
         role: true,
-        enrolled_courses: true,
+        email_verified_at: true,
         created_at: true,
         updated_at: true
       }
@@ -119,16 +547,21 @@ RegistrationRoutes.get('/users/:id', authMiddleware, async (req, res) => {
       return errorResponse(res, 'User not found', 404);
     }
 
-    successResponse(res, user, 'User profile retrieved successfully');
+    successResponse(res, { ...user, enrolled_courses: await getActiveCourseIds(user.id) }, 'User profile retrieved successfully');
   } catch (error) {
     errorResponse(res, 'Failed to retrieve user profile', 400, error);
   }
 });
 
 // Update user profile
-RegistrationRoutes.put('/users/:userId', authMiddleware, async (req, res) => {
+RegistrationRoutes.put('/users/:userId', authMiddleware, validate(updateUserSchema), async (req, res) => {
   const { userId } = req.params;
-  const { email, full_name, username, role, password } = req.body;
+  const { email, full_name, username, password } = req.body;
+
+  // Chacun ne modifie que son propre profil, sauf les administrateurs
+  if (req.userId !== userId && req.auth.role !== 'ADMIN') {
+    return errorResponse(res, 'You can only update your own profile', 403);
+  }
 
   try {
     // Préparer les données de mise à jour
@@ -138,17 +571,22 @@ RegistrationRoutes.put('/users/:userId', authMiddleware, async (req, res) => {
       username
     };
 
-    // Ajouter le rôle si fourni (et vérifie qu'il correspond à l'enum UserRole)
-    if (role) {
-      updateData.role = role;
-    }
-
     // Ajouter le mot de passe s'il est fourni
     if (password) {
       const hashedPassword = await bcrypt.hash(password, 10);
       updateData.password = hashedPassword;
     }
 
+    // Un changement d'adresse doit être vérifié à nouveau
+    const currentUser = await prisma.user.findUnique({
+      where: { id: parseInt(userId) },
+      select: { email: true }
+    });
+    const emailChanged = Boolean(email) && currentUser && email !== currentUser.email;
+    if (emailChanged) {
+      updateData.email_verified_at = null;
+    }
+
     // Mettre à jour l'utilisateur
     const updatedUser = await prisma.user.update({
       where: { id: parseInt(userId) },
@@ -159,11 +597,25 @@ RegistrationRoutes.put('/users/:userId', authMiddleware, async (req, res) => {
         username: true,
         full_name: true,
         role: true,
+        email_verified_at: true,
         created_at: true,
         updated_at: true
       }
     });
 
+    // Nouveau mot de passe : toutes les sessions ouvertes avec l'ancien sont fermées
+    if (password) {
+      await revokeAllSessions(updatedUser.id);
+    }
+
+    if (emailChanged) {
+      try {
+        await sendVerificationEmail(updatedUser);
+      } catch (mailError) {
+        console.error('Verification email error:', mailError);
+      }
+    }
+
     successResponse(res, updatedUser, 'User updated successfully');
   } catch (error) {
     if (error.code === 'P2002') {
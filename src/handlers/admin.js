@@ -4,7 +4,57 @@ import { config } from 'dotenv';
 import bcrypt from 'bcryptjs';
 import { generateToken } from '../utils/utils.js';
 import { successResponse, errorResponse } from '../utils/apiResponses.js';
-import { authMiddleware, AdminMiddleware, mentorAdminMiddleware } from '../utils/utils.js';
+import { authMiddleware, AdminMiddleware, mentorAdminMiddleware, SendEmail } from '../utils/utils.js';
+import { accountSuspendedEmailHTML } from '../utils/mailHTML.js';
+import { assignSubmission, OPEN_SUBMISSION_STATUSES } from '../utils/mentorAssignment.js';
+import { reviewSubmission, getSubmissionThread } from '../utils/submissionWorkflow.js';
+import { notifySubmissionReviewed } from '../utils/notifications.js';
+import { enrollUser } from '../utils/enrollments.js';
+import { revokeAllSessions } from '../utils/sessions.js';
+import { refundOrder } from '../payments/index.js';
+import { retryEmail } from '../email/index.js';
+import { normalizeCouponCode } from '../payments/coupons.js';
+import {
+  surveyWhere,
+  getAnswerDistributions,
+  getQuestionDistributions,
+  getSurveyConversion,
+  surveysToCsv
+} from '../utils/surveyAnalytics.js';
+import {
+  surveyFormInclude,
+  findSurveyForm,
+  saveSurveyForm,
+  activateSurveyForm,
+  formatSurveyAnswers
+} from '../utils/surveyForms.js';
+import { validate } from '../middleware/validate.js';
+import {
+  userIdParams,
+  createUserSchema,
+  updateUserSchema,
+  updateSubmissionSchema,
+  submissionIdParams,
+  suspendUserSchema,
+  enrollUserSchema,
+  paginationSchema,
+  listOrdersSchema,
+  orderIdParams,
+  createCouponSchema,
+  updateCouponSchema,
+  couponIdParams,
+  listCouponsSchema,
+  listCertificatesSchema,
+  revokeCertificateSchema,
+  listCoursesSchema,
+  listSurveysSchema,
+  surveyFiltersSchema,
+  surveyFormIdParams,
+  createSurveyFormSchema,
+  updateSurveyFormSchema,
+  listEmailsSchema,
+  emailIdParams
+} from '../validators/admin.js';
 
 config();
 
@@ -34,7 +84,7 @@ AdminRoutes.get('/users', authMiddleware, AdminMiddleware, async (req, res) => {
 });
 
 // Create user
-AdminRoutes.post('/users', authMiddleware, AdminMiddleware, async (req, res) => {
+AdminRoutes.post('/users', authMiddleware, AdminMiddleware, validate(createUserSchema), async (req, res) => {
   const { email, password, username, full_name, role } = req.body;
 
   try {
@@ -54,7 +104,9 @@ AdminRoutes.post('/users', authMiddleware, AdminMiddleware, async (req, res) =>
         password: hashedPassword,
         username,
         full_name,
-        role
+        role,
+        // Les comptes créés par un admin n'ont pas besoin de vérification
+        email_verified_at: new Date()
       },
       select: {
         email: true,
@@ -70,69 +122,201 @@ AdminRoutes.post('/users', authMiddleware, AdminMiddleware, async (req, res) =>
   }
 });
 
+const submissionReviewInclude = {
+  user: {
+    select: {
+      full_name: true,
+      email: true
+    }
+  },
+  mentor: {
+    select: {
+      id: true,
+      full_name: true
+    }
+  },
+  course: {
+    select: {
+      title: true
+    }
+  },
+  chapter: {
+    select: {
+      title: true,
+      content: true
+    }
+  }
+};
+
 // Get mentor submissions
+// Les admins voient toutes les soumissions ouvertes ; un mentor ne voit que les siennes et celles non assignées
 AdminRoutes.get('/mentor/submissions', authMiddleware, mentorAdminMiddleware, async (req, res) => {
+  try {
+    const where = {
+      status: {
+        in: OPEN_SUBMISSION_STATUSES
+      }
+    };
+
+    if (req.auth.role !== 'ADMIN') {
+      where.OR = [
+        { mentor_id: null },
+        { mentor_id: req.userId }
+      ];
+    }
+
+    const submissions = await prisma.submission.findMany({
+      where,
+      include: submissionReviewInclude,
+      orderBy: {
+        created_at: 'desc'
+      }
+    });
+
+    successResponse(res, submissions, 'Submissions retrieved successfully');
+  } catch (error) {
+    errorResponse(res, 'Failed to retrieve submissions', 500, error);
+  }
+});
+
+// Get the current mentor's review queue
+AdminRoutes.get('/mentor/queue', authMiddleware, mentorAdminMiddleware, async (req, res) => {
   try {
     const submissions = await prisma.submission.findMany({
       where: {
+        mentor_id: req.userId,
         status: {
-          in: ['PENDING', 'NEEDS_REVISION']
-        }
-      },
-      include: {
-        user: {
-          select: {
-            full_name: true,
-            email: true
-          }
-        },
-        course: {
-          select: {
-            title: true
-          }
-        },
-        chapter: {
-          select: {
-            title: true,
-            content: true
-          }
+          in: OPEN_SUBMISSION_STATUSES
         }
       },
+      include: submissionReviewInclude,
+      // Les plus anciennes d'abord : file d'attente
       orderBy: {
-        created_at: 'desc'
+        created_at: 'asc'
       }
     });
 
-    successResponse(res, submissions, 'Submissions retrieved successfully');
+    successResponse(res, submissions, 'Review queue retrieved successfully');
   } catch (error) {
-    errorResponse(res, 'Failed to retrieve submissions', 500, error);
+    errorResponse(res, 'Failed to retrieve review queue', 500, error);
   }
 });
 
-// Update submission
-AdminRoutes.put('/mentor/submissions/:submissionId', authMiddleware, mentorAdminMiddleware, async (req, res) => {
+// Claim a submission for review
+AdminRoutes.post('/mentor/submissions/:submissionId/claim', authMiddleware, mentorAdminMiddleware, validate(submissionIdParams), async (req, res) => {
   const { submissionId } = req.params;
-  const { status, mentor_comment } = req.body;
-  
+
   try {
-    const updatedSubmission = await prisma.submission.update({
+    // Mise à jour conditionnelle : deux mentors ne peuvent pas réclamer la même soumission
+    const claimed = await prisma.submission.updateMany({
       where: {
-        id: parseInt(submissionId)
+        id: submissionId,
+        status: { in: OPEN_SUBMISSION_STATUSES },
+        OR: [
+          { mentor_id: null },
+          { mentor_id: req.userId }
+        ]
       },
       data: {
-        status,
-        mentor_comment
+        mentor_id: req.userId,
+        status: 'REVIEWING',
+        assigned_at: new Date(),
+        reviewing_since: new Date()
       }
     });
+
+    if (claimed.count === 0) {
+      return errorResponse(res, 'Submission not found, closed or already assigned to another mentor', 409);
+    }
+
+    const submission = await prisma.submission.findUnique({
+      where: { id: submissionId },
+      include: submissionReviewInclude
+    });
+
+    successResponse(res, submission, 'Submission claimed successfully');
+  } catch (error) {
+    errorResponse(res, 'Failed to claim submission', 500, error);
+  }
+});
+
+// Release a claimed submission so another mentor can review it
+AdminRoutes.post('/mentor/submissions/:submissionId/release', authMiddleware, mentorAdminMiddleware, validate(submissionIdParams), async (req, res) => {
+  const { submissionId } = req.params;
+
+  try {
+    const submission = await prisma.submission.findUnique({
+      where: { id: submissionId }
+    });
+
+    if (!submission || submission.mentor_id !== req.userId || !OPEN_SUBMISSION_STATUSES.includes(submission.status)) {
+      return errorResponse(res, 'Submission not found or not assigned to you', 404);
+    }
+
+    const released = await assignSubmission(submission, { excludeMentorIds: [req.userId] });
+
+    if (!released) {
+      return errorResponse(res, 'This submission changed in the meantime, reload it and try again', 409);
+    }
+
+    successResponse(res, released, 'Submission released successfully');
+  } catch (error) {
+    errorResponse(res, 'Failed to release submission', 500, error);
+  }
+});
+
+// Get the full review thread of a submission
+AdminRoutes.get('/mentor/submissions/:submissionId/thread', authMiddleware, mentorAdminMiddleware, validate(submissionIdParams), async (req, res) => {
+  try {
+    const thread = await getSubmissionThread(req.params.submissionId);
+
+    if (!thread) {
+      return errorResponse(res, 'Submission not found', 404);
+    }
+
+    successResponse(res, thread, 'Submission thread retrieved successfully');
+  } catch (error) {
+    errorResponse(res, 'Failed to retrieve submission thread', 500, error);
+  }
+});
+
+// Update submission (review: status change and/or comment)
+AdminRoutes.put('/mentor/submissions/:submissionId', authMiddleware, mentorAdminMiddleware, validate(updateSubmissionSchema), async (req, res) => {
+  const { submissionId } = req.params;
+  const { status, mentor_comment } = req.body;
+  
+  try {
+    const submission = await prisma.submission.findUnique({
+      where: { id: submissionId }
+    });
+
+    if (!submission) {
+      return errorResponse(res, 'Submission not found', 404);
+    }
+
+    // Un mentor ne peut relire que les soumissions qui lui sont assignées (ou non assignées)
+    if (req.auth.role !== 'ADMIN' && submission.mentor_id && submission.mentor_id !== req.userId) {
+      return errorResponse(res, 'This submission is assigned to another mentor', 403);
+    }
+
+    const updatedSubmission = await reviewSubmission(submission, {
+      authorId: req.userId,
+      status,
+      comment: mentor_comment
+    });
+
+    if (updatedSubmission.status !== submission.status) {
+      await notifySubmissionReviewed(updatedSubmission.id);
+    }
     
     successResponse(res, updatedSubmission, 'Submission updated successfully');
   } catch (error) {
-    errorResponse(res, 'Failed to update submission', 500, error);
+    errorResponse(res, error.statusCode ? error.message : 'Failed to update submission', error.statusCode || 500, error);
   }
 });
 
 // Update user
-AdminRoutes.put('/users/:userId', authMiddleware, AdminMiddleware, async (req, res) => {
+AdminRoutes.put('/users/:userId', authMiddleware, AdminMiddleware, validate(updateUserSchema), async (req, res) => {
   const { userId } = req.params;
   const { email, full_name, username, role, password } = req.body;
 
@@ -157,6 +341,10 @@ AdminRoutes.put('/users/:userId', authMiddleware, AdminMiddleware, async (req, r
       }
     });
 
+    if (password) {
+      await revokeAllSessions(updatedUser.id);
+    }
+
     successResponse(res, updatedUser, 'User updated successfully');
   } catch (error) {
     errorResponse(res, 'Failed to update user', 500, error);
@@ -164,7 +352,7 @@ AdminRoutes.put('/users/:userId', authMiddleware, AdminMiddleware, async (req, r
 });
 
 // Delete user
-AdminRoutes.delete('/users/:userId', authMiddleware, AdminMiddleware, async (req, res) => {
+AdminRoutes.delete('/users/:userId', authMiddleware, AdminMiddleware, validate(userIdParams), async (req, res) => {
   const { userId } = req.params;
 
   try {
@@ -181,9 +369,15 @@ AdminRoutes.delete('/users/:userId', authMiddleware, AdminMiddleware, async (req
 });
 
 // Suspend/reactivate user
-AdminRoutes.put('/users/:userId/suspend', authMiddleware, AdminMiddleware, async (req, res) => {
+AdminRoutes.put('/users/:userId/suspend', authMiddleware, AdminMiddleware, validate(suspendUserSchema), async (req, res) => {
   const { userId } = req.params;
-  const { is_suspended } = req.body;
+  const { is_suspended, reason, suspended_until } = req.body;
+
+  const suspendedUntil = is_suspended && suspended_until ? new Date(suspended_until) : null;
+
+  if (suspendedUntil && (isNaN(suspendedUntil.getTime()) || suspendedUntil <= new Date())) {
+    return errorResponse(res, 'suspended_until must be a valid future date', 400);
+  }
 
   try {
     const updatedUser = await prisma.user.update({
@@ -191,10 +385,40 @@ AdminRoutes.put('/users/:userId/suspend', authMiddleware, AdminMiddleware, async
         id: parseInt(userId)
       },
       data: {
-        is_suspended
+        is_suspended,
+        suspension_reason: is_suspended ? reason || null : null,
+        suspended_until: suspendedUntil
+      },
+      select: {
+        id: true,
+        email: true,
+        username: true,
+        full_name: true,
+        role: true,
+        is_suspended: true,
+        suspension_reason: true,
+        suspended_until: true
       }
     });
 
+    // Prévenir l'utilisateur ; la suspension reste effective même si l'email échoue
+    if (is_suspended) {
+      try {
+        await SendEmail({
+          mail: updatedUser.email,
+          name: updatedUser.full_name,
+          subject: 'Suspension de votre compte AI Boost',
+          HTMLPart: accountSuspendedEmailHTML({
+            user: updatedUser,
+            reason: updatedUser.suspension_reason,
+            suspendedUntil: updatedUser.suspended_until
+          })
+        });
+      } catch (mailError) {
+        console.error('Suspension email error:', mailError);
+      }
+    }
+
     successResponse(res, updatedUser, `User ${is_suspended ? 'suspended' : 'reactivated'} successfully`);
   } catch (error) {
     errorResponse(res, 'Failed to update user suspension status', 500, error);
@@ -202,37 +426,58 @@ AdminRoutes.put('/users/:userId/suspend', authMiddleware, AdminMiddleware, async
 });
 
 // Enroll user in course
-AdminRoutes.post('/users/:userId/enroll', authMiddleware, AdminMiddleware, async (req, res) => {
+AdminRoutes.post('/users/:userId/enroll', authMiddleware, AdminMiddleware, validate(enrollUserSchema), async (req, res) => {
   const { userId } = req.params;
-  const { course_id } = req.body;
+  const { course_id, expires_at } = req.body;
 
   try {
-    const user = await prisma.user.findUnique({
-      where: { id: parseInt(userId) }
-    });
+    const [user, course] = await Promise.all([
+      prisma.user.findUnique({ where: { id: userId } }),
+      prisma.course.findUnique({ where: { id: course_id } })
+    ]);
 
-    const enrolledCourses = user.enrolled_courses || [];
-    if (!enrolledCourses.includes(course_id)) {
-      const updatedUser = await prisma.user.update({
-        where: { id: parseInt(userId) },
-        data: {
-          enrolled_courses: {
-            push: course_id
-          }
-        }
-      });
+    if (!user || !course) {
+      return errorResponse(res, 'User or course not found', 404);
+    }
 
-      successResponse(res, updatedUser, 'User enrolled in course successfully');
+    const { enrollment, created } = await enrollUser({
+      userId,
+      courseId: course_id,
+      source: 'ADMIN',
+      expiresAt: expires_at ? new Date(expires_at) : null
+    });
+
+    if (created) {
+      successResponse(res, enrollment, 'User enrolled in course successfully');
     } else {
-      successResponse(res, null, 'User already enrolled in this course');
+      successResponse(res, enrollment, 'User already enrolled in this course');
     }
   } catch (error) {
     errorResponse(res, 'Failed to enroll user in course', 500, error);
   }
 });
 
+// Get a user's enrollments, including dropped and expired ones
+AdminRoutes.get('/users/:userId/enrollments', authMiddleware, AdminMiddleware, validate(userIdParams), async (req, res) => {
+  try {
+    const enrollments = await prisma.enrollment.findMany({
+      where: { user_id: req.params.userId },
+      include: {
+        course: {
+          select: { id: true, title: true }
+        }
+      },
+      orderBy: { enrolled_at: 'desc' }
+    });
+
+    successResponse(res, enrollments, 'User enrollments retrieved successfully');
+  } catch (error) {
+    errorResponse(res, 'Failed to retrieve user enrollments', 500, error);
+  }
+});
+
 // Get user progress
-AdminRoutes.get('/users/:userId/progress', authMiddleware, AdminMiddleware, async (req, res) => {
+AdminRoutes.get('/users/:userId/progress', authMiddleware, AdminMiddleware, validate(userIdParams), async (req, res) => {
   const { userId } = req.params;
 
   try {
@@ -266,7 +511,7 @@ AdminRoutes.get('/users/:userId/progress', authMiddleware, AdminMiddleware, asyn
 });
 
 // Get mentors with pagination
-AdminRoutes.get('/mentors', authMiddleware, AdminMiddleware, async (req, res) => {
+AdminRoutes.get('/mentors', authMiddleware, AdminMiddleware, validate(paginationSchema), async (req, res) => {
   const { page = 1, limit = 10 } = req.query;
   const skip = (parseInt(page) - 1) * parseInt(limit);
 
@@ -282,7 +527,9 @@ AdminRoutes.get('/mentors', authMiddleware, AdminMiddleware, async (req, res) =>
           username: true,
           full_name: true,
           role: true,
-          is_suspended: true
+          is_suspended: true,
+          suspension_reason: true,
+          suspended_until: true
         },
         skip,
         take: parseInt(limit),
@@ -310,7 +557,7 @@ AdminRoutes.get('/mentors', authMiddleware, AdminMiddleware, async (req, res) =>
 });
 
 // Get students with pagination and course progress
-AdminRoutes.get('/students', authMiddleware, AdminMiddleware, async (req, res) => {
+AdminRoutes.get('/students', authMiddleware, AdminMiddleware, validate(paginationSchema), async (req, res) => {
   const { page = 1, limit = 10 } = req.query;
   const skip = (parseInt(page) - 1) * parseInt(limit);
 
@@ -371,4 +618,562 @@ AdminRoutes.get('/students', authMiddleware, AdminMiddleware, async (req, res) =
   }
 });
 
+// Get every course, whatever its status, with pagination
+AdminRoutes.get('/courses', authMiddleware, AdminMiddleware, validate(listCoursesSchema), async (req, res) => {
+  const { page, limit, status } = req.query;
+  const where = { status };
+
+  try {
+    const [courses, count] = await Promise.all([
+      prisma.course.findMany({
+        where,
+        include: {
+          category: true,
+          _count: {
+            select: { chapters: true }
+          }
+        },
+        skip: (page - 1) * limit,
+        take: limit,
+        orderBy: { updated_at: 'desc' }
+      }),
+      prisma.course.count({ where })
+    ]);
+
+    successResponse(
+      res,
+      { courses, totalPages: Math.ceil(count / limit), currentPage: page },
+      'Courses retrieved successfully'
+    );
+  } catch (error) {
+    errorResponse(res, 'Failed to retrieve courses', 500, error);
+  }
+});
+
+// Get orders with pagination and filters
+AdminRoutes.get('/orders', authMiddleware, AdminMiddleware, validate(listOrdersSchema), async (req, res) => {
+  const { page, limit, status, user_id, course_id } = req.query;
+  const where = { status, user_id, course_id };
+
+  try {
+    const [orders, count] = await Promise.all([
+      prisma.order.findMany({
+        where,
+        include: {
+          user: {
+            select: { id: true, email: true, full_name: true }
+          },
+          course: {
+            select: { id: true, title: true }
+          }
+        },
+        skip: (page - 1) * limit,
+        take: limit,
+        orderBy: { created_at: 'desc' }
+      }),
+      prisma.order.count({ where })
+    ]);
+
+    successResponse(
+      res,
+      { orders, totalPages: Math.ceil(count / limit), currentPage: page },
+      'Orders retrieved successfully'
+    );
+  } catch (error) {
+    errorResponse(res, 'Failed to retrieve orders', 500, error);
+  }
+});
+
+// Refund an order and revoke the matching enrollment
+AdminRoutes.post('/orders/:orderId/refund', authMiddleware, AdminMiddleware, validate(orderIdParams), async (req, res) => {
+  try {
+    const order = await prisma.order.findUnique({ where: { id: req.params.orderId } });
+
+    if (!order) {
+      return errorResponse(res, 'Order not found', 404);
+    }
+
+    const refunded = await refundOrder(order);
+
+    successResponse(res, refunded, refunded.status === 'REFUNDED' ? 'Order refunded successfully' : 'Refund requested');
+  } catch (error) {
+    errorResponse(res, error.statusCode ? error.message : 'Failed to refund order', error.statusCode || 500, error);
+  }
+});
+
+// Champs de date et de code d'un coupon dans le format attendu par Prisma
+const couponData = (body) => ({
+  ...body,
+  ...(body.code !== undefined && { code: normalizeCouponCode(body.code) }),
+  ...(body.expires_at !== undefined && { expires_at: body.expires_at ? new Date(body.expires_at) : null })
+});
+
+// Get coupons with pagination and usage counts
+AdminRoutes.get('/coupons', authMiddleware, AdminMiddleware, validate(listCouponsSchema), async (req, res) => {
+  const { page, limit, course_id, is_active } = req.query;
+  const where = { course_id, is_active };
+
+  try {
+    const [coupons, count] = await Promise.all([
+      prisma.coupon.findMany({
+        where,
+        include: {
+          course: {
+            select: { id: true, title: true }
+          },
+          _count: {
+            select: { redemptions: true }
+          }
+        },
+        skip: (page - 1) * limit,
+        take: limit,
+        orderBy: { created_at: 'desc' }
+      }),
+      prisma.coupon.count({ where })
+    ]);
+
+    successResponse(
+      res,
+      { coupons, totalPages: Math.ceil(count / limit), currentPage: page },
+      'Coupons retrieved successfully'
+    );
+  } catch (error) {
+    errorResponse(res, 'Failed to retrieve coupons', 500, error);
+  }
+});
+
+// Create a coupon
+AdminRoutes.post('/coupons', authMiddleware, AdminMiddleware, validate(createCouponSchema), async (req, res) => {
+  try {
+    const coupon = await prisma.coupon.create({
+      data: couponData(req.body)
+    });
+
+    successResponse(res, coupon, 'Coupon created successfully', 201);
+  } catch (error) {
+    if (error.code === 'P2002') {
+      return errorResponse(res, 'A coupon with this code already exists', 409);
+    }
+    if (error.code === 'P2003') {
+      return errorResponse(res, 'Course not found', 404);
+    }
+    errorResponse(res, 'Failed to create coupon', 500, error);
+  }
+});
+
+// Get a coupon with its redemptions and totals
+AdminRoutes.get('/coupons/:couponId', authMiddleware, AdminMiddleware, validate(couponIdParams), async (req, res) => {
+  try {
+    const [coupon, totals] = await Promise.all([
+      prisma.coupon.findUnique({
+        where: { id: req.params.couponId },
+        include: {
+          course: {
+            select: { id: true, title: true }
+          },
+          redemptions: {
+            include: {
+              user: {
+                select: { id: true, email: true, full_name: true }
+              },
+              order: {
+                select: { id: true, course_id: true, original_amount: true, currency: true, status: true }
+              }
+            },
+            orderBy: { created_at: 'desc' }
+          }
+        }
+      }),
+      prisma.couponRedemption.aggregate({
+        where: { coupon_id: req.params.couponId },
+        _count: { _all: true },
+        _sum: { discount_amount: true, final_amount: true }
+      })
+    ]);
+
+    if (!coupon) {
+      return errorResponse(res, 'Coupon not found', 404);
+    }
+
+    successResponse(res, {
+      ...coupon,
+      totals: {
+        redemptions: totals._count._all,
+        discount_amount: totals._sum.discount_amount || 0,
+        final_amount: totals._sum.final_amount || 0
+      }
+    }, 'Coupon retrieved successfully');
+  } catch (error) {
+    errorResponse(res, 'Failed to retrieve coupon', 500, error);
+  }
+});
+
+// Update a coupon
+AdminRoutes.put('/coupons/:couponId', authMiddleware, AdminMiddleware, validate(updateCouponSchema), async (req, res) => {
+  try {
+    const existing = await prisma.coupon.findUnique({ where: { id: req.params.couponId } });
+
+    if (!existing) {
+      return errorResponse(res, 'Coupon not found', 404);
+    }
+
+    const type = req.body.type ?? existing.type;
+    const value = req.body.value ?? existing.value;
+
+    if (type === 'PERCENTAGE' && value > 100) {
+      return errorResponse(res, 'A percentage discount cannot exceed 100', 400);
+    }
+
+    const coupon = await prisma.coupon.update({
+      where: { id: existing.id },
+      data: couponData(req.body)
+    });
+
+    successResponse(res, coupon, 'Coupon updated successfully');
+  } catch (error) {
+    if (error.code === 'P2002') {
+      return errorResponse(res, 'A coupon with this code already exists', 409);
+    }
+    if (error.code === 'P2003') {
+      return errorResponse(res, 'Course not found', 404);
+    }
+    errorResponse(res, 'Failed to update coupon', 500, error);
+  }
+});
+
+// Delete a coupon that was never redeemed (deactivate it otherwise)
+AdminRoutes.delete('/coupons/:couponId', authMiddleware, AdminMiddleware, validate(couponIdParams), async (req, res) => {
+  try {
+    const coupon = await prisma.coupon.findUnique({
+      where: { id: req.params.couponId },
+      include: {
+        _count: {
+          select: { redemptions: true }
+        }
+      }
+    });
+
+    if (!coupon) {
+      return errorResponse(res, 'Coupon not found', 404);
+    }
+
+    if (coupon._count.redemptions > 0) {
+      return errorResponse(res, 'This coupon has been redeemed, deactivate it instead', 409);
+    }
+
+    await prisma.coupon.delete({ where: { id: coupon.id } });
+
+    successResponse(res, null, 'Coupon deleted successfully');
+  } catch (error) {
+    errorResponse(res, 'Failed to delete coupon', 500, error);
+  }
+});
+
+// Get certificates with pagination and filters
+AdminRoutes.get('/certificates', authMiddleware, AdminMiddleware, validate(listCertificatesSchema), async (req, res) => {
+  const { page, limit, user_id, course_id, revoked } = req.query;
+  const where = {
+    user_id,
+    course_id,
+    ...(revoked !== undefined && { revoked_at: revoked ? { not: null } : null })
+  };
+
+  try {
+    const [certificates, count] = await Promise.all([
+      prisma.certificate.findMany({
+        where,
+        skip: (page - 1) * limit,
+        take: limit,
+        orderBy: { issued_at: 'desc' }
+      }),
+      prisma.certificate.count({ where })
+    ]);
+
+    successResponse(
+      res,
+      { certificates, totalPages: Math.ceil(count / limit), currentPage: page },
+      'Certificates retrieved successfully'
+    );
+  } catch (error) {
+    errorResponse(res, 'Failed to retrieve certificates', 500, error);
+  }
+});
+
+// Revoke a certificate
+AdminRoutes.put('/certificates/:certificateId/revoke', authMiddleware, AdminMiddleware, validate(revokeCertificateSchema), async (req, res) => {
+  try {
+    const certificate = await prisma.certificate.findUnique({ where: { id: req.params.certificateId } });
+
+    if (!certificate) {
+      return errorResponse(res, 'Certificate not found', 404);
+    }
+
+    if (certificate.revoked_at) {
+      return errorResponse(res, 'Certificate already revoked', 409);
+    }
+
+    const revoked = await prisma.certificate.update({
+      where: { id: certificate.id },
+      data: {
+        revoked_at: new Date(),
+        revocation_reason: req.body.reason
+      }
+    });
+
+    successResponse(res, revoked, 'Certificate revoked successfully');
+  } catch (error) {
+    errorResponse(res, 'Failed to revoke certificate', 500, error);
+  }
+});
+
+// Get survey responses with pagination and filters
+AdminRoutes.get('/surveys', authMiddleware, AdminMiddleware, validate(listSurveysSchema), async (req, res) => {
+  const { page, limit, ...filters } = req.query;
+  const where = surveyWhere(filters);
+
+  try {
+    const [surveys, count] = await Promise.all([
+      prisma.survey.findMany({
+        where,
+        include: {
+          user: {
+            select: { id: true, email: true, full_name: true }
+          },
+          form: { include: surveyFormInclude },
+          answers: true
+        },
+        skip: (page - 1) * limit,
+        take: limit,
+        orderBy: { created_at: 'desc' }
+      }),
+      prisma.survey.count({ where })
+    ]);
+
+    // Anciens sondages fixes et questionnaires configurables sous la même forme
+    const formattedSurveys = surveys.map(({ form, answers, ...survey }) => ({
+      ...survey,
+      form_title: form?.title ?? null,
+      answers: formatSurveyAnswers({ ...survey, form, answers })
+    }));
+
+    successResponse(
+      res,
+      { surveys: formattedSurveys, totalPages: Math.ceil(count / limit), currentPage: page },
+      'Surveys retrieved successfully'
+    );
+  } catch (error) {
+    errorResponse(res, 'Failed to retrieve surveys', 500, error);
+  }
+});
+
+// Get answer distributions and respondent conversion for the filtered surveys
+AdminRoutes.get('/surveys/stats', authMiddleware, AdminMiddleware, validate(surveyFiltersSchema), async (req, res) => {
+  const where = surveyWhere(req.query);
+
+  try {
+    const [{ total, distributions }, conversion, questions] = await Promise.all([
+      getAnswerDistributions(where),
+      getSurveyConversion(where),
+      req.query.form_id ? getQuestionDistributions(req.query.form_id, where) : null
+    ]);
+
+    successResponse(
+      res,
+      { from: req.query.from ?? null, to: req.query.to ?? null, total, distributions, questions, conversion },
+      'Survey statistics retrieved successfully'
+    );
+  } catch (error) {
+    errorResponse(res, 'Failed to retrieve survey statistics', 500, error);
+  }
+});
+
+// Export the filtered surveys as CSV
+AdminRoutes.get('/surveys/export', authMiddleware, AdminMiddleware, validate(surveyFiltersSchema), async (req, res) => {
+  try {
+    const [surveys, form] = await Promise.all([
+      prisma.survey.findMany({
+        where: surveyWhere(req.query),
+        include: { answers: true },
+        orderBy: { created_at: 'asc' }
+      }),
+      req.query.form_id ? findSurveyForm(req.query.form_id) : null
+    ]);
+
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="surveys-${new Date().toISOString().slice(0, 10)}.csv"`
+    });
+    res.send(surveysToCsv(surveys, form));
+  } catch (error) {
+    errorResponse(res, 'Failed to export surveys', 500, error);
+  }
+});
+
+// Get survey forms with their response count
+AdminRoutes.get('/survey-forms', authMiddleware, AdminMiddleware, async (req, res) => {
+  try {
+    const forms = await prisma.surveyForm.findMany({
+      include: {
+        _count: {
+          select: { questions: true, responses: true }
+        }
+      },
+      orderBy: { created_at: 'desc' }
+    });
+
+    successResponse(res, forms, 'Survey forms retrieved successfully');
+  } catch (error) {
+    errorResponse(res, 'Failed to retrieve survey forms', 500, error);
+  }
+});
+
+// Create a survey form (inactive until activated)
+AdminRoutes.post('/survey-forms', authMiddleware, AdminMiddleware, validate(createSurveyFormSchema), async (req, res) => {
+  try {
+    const form = await saveSurveyForm(req.body);
+
+    successResponse(res, form, 'Survey form created successfully', 201);
+  } catch (error) {
+    errorResponse(res, 'Failed to create survey form', 500, error);
+  }
+});
+
+// Get a survey form with its questions
+AdminRoutes.get('/survey-forms/:formId', authMiddleware, AdminMiddleware, validate(surveyFormIdParams), async (req, res) => {
+  try {
+    const form = await findSurveyForm(req.params.formId);
+
+    if (!form) {
+      return errorResponse(res, 'Survey form not found', 404);
+    }
+
+    successResponse(res, form, 'Survey form retrieved successfully');
+  } catch (error) {
+    errorResponse(res, 'Failed to retrieve survey form', 500, error);
+  }
+});
+
+// Update a survey form; questions are replaced as a whole and only while it has no responses
+AdminRoutes.put('/survey-forms/:formId', authMiddleware, AdminMiddleware, validate(updateSurveyFormSchema), async (req, res) => {
+  try {
+    if (!(await findSurveyForm(req.params.formId))) {
+      return errorResponse(res, 'Survey form not found', 404);
+    }
+
+    const form = await saveSurveyForm({ formId: req.params.formId, ...req.body });
+
+    successResponse(res, form, 'Survey form updated successfully');
+  } catch (error) {
+    errorResponse(res, error.statusCode ? error.message : 'Failed to update survey form', error.statusCode || 500, error);
+  }
+});
+
+// Make a survey form the one served by POST /survey/submit
+AdminRoutes.post('/survey-forms/:formId/activate', authMiddleware, AdminMiddleware, validate(surveyFormIdParams), async (req, res) => {
+  try {
+    if (!(await findSurveyForm(req.params.formId))) {
+      return errorResponse(res, 'Survey form not found', 404);
+    }
+
+    const form = await activateSurveyForm(req.params.formId);
+
+    successResponse(res, form, 'Survey form activated successfully');
+  } catch (error) {
+    errorResponse(res, error.statusCode ? error.message : 'Failed to activate survey form', error.statusCode || 500, error);
+  }
+});
+
+// Delete a survey form that has no responses
+AdminRoutes.delete('/survey-forms/:formId', authMiddleware, AdminMiddleware, validate(surveyFormIdParams), async (req, res) => {
+  try {
+    const form = await prisma.surveyForm.findUnique({
+      where: { id: req.params.formId },
+      include: {
+        _count: {
+          select: { responses: true }
+        }
+      }
+    });
+
+    if (!form) {
+      return errorResponse(res, 'Survey form not found', 404);
+    }
+
+    if (form._count.responses > 0) {
+      return errorResponse(res, 'Survey form has responses and cannot be deleted', 409);
+    }
+
+    await prisma.surveyForm.delete({ where: { id: form.id } });
+
+    successResponse(res, null, 'Survey form deleted successfully');
+  } catch (error) {
+    errorResponse(res, 'Failed to delete survey form', 500, error);
+  }
+});
+
+// Get outbox emails with their delivery status (the HTML body is only returned by the detail route)
+AdminRoutes.get('/emails', authMiddleware, AdminMiddleware, validate(listEmailsSchema), async (req, res) => {
+  const { page, limit, status, to_email } = req.query;
+  const where = {
+    status,
+    to_email: to_email ? { contains: to_email, mode: 'insensitive' } : undefined
+  };
+
+  try {
+    const [emails, count, statusCounts] = await Promise.all([
+      prisma.emailMessage.findMany({
+        where,
+        omit: { html: true },
+        skip: (page - 1) * limit,
+        take: limit,
+        orderBy: { created_at: 'desc' }
+      }),
+      prisma.emailMessage.count({ where }),
+      prisma.emailMessage.groupBy({ by: ['status'], _count: { _all: true } })
+    ]);
+
+    const counts = Object.fromEntries(statusCounts.map(group => [group.status, group._count._all]));
+
+    successResponse(
+      res,
+      { emails, counts, totalPages: Math.ceil(count / limit), currentPage: page },
+      'Emails retrieved successfully'
+    );
+  } catch (error) {
+    errorResponse(res, 'Failed to retrieve emails', 500, error);
+  }
+});
+
+// Get an outbox email with its HTML body, as long as it is kept and holds no one-time link
+AdminRoutes.get('/emails/:emailId', authMiddleware, AdminMiddleware, validate(emailIdParams), async (req, res) => {
+  try {
+    const email = await prisma.emailMessage.findUnique({ where: { id: req.params.emailId } });
+
+    if (!email) {
+      return errorResponse(res, 'Email not found', 404);
+    }
+
+    successResponse(res, { ...email, html: email.sensitive ? null : email.html }, 'Email retrieved successfully');
+  } catch (error) {
+    errorResponse(res, 'Failed to retrieve email', 500, error);
+  }
+});
+
+// Retry a failed email now, with a new set of attempts
+AdminRoutes.post('/emails/:emailId/retry', authMiddleware, AdminMiddleware, validate(emailIdParams), async (req, res) => {
+  try {
+    const email = await prisma.emailMessage.findUnique({ where: { id: req.params.emailId } });
+
+    if (!email) {
+      return errorResponse(res, 'Email not found', 404);
+    }
+
+    const retried = await retryEmail(email);
+
+    successResponse(res, retried, retried.status === 'SENT' ? 'Email sent successfully' : 'Email queued for retry');
+  } catch (error) {
+    errorResponse(res, error.statusCode ? error.message : 'Failed to retry email', error.statusCode || 500, error);
+  }
+});
+
 export default AdminRoutes;
\ No newline at end of file
@@ -0,0 +1,85 @@
+import { Router } from 'express';
+import { PrismaClient } from '@prisma/client';
+import { config } from 'dotenv';
+import { successResponse, errorResponse } from '../utils/apiResponses.js';
+import { authMiddleware } from '../utils/utils.js';
+import { isCertificateValid, renderCertificatePdf, certificateVerifyUrl } from '../utils/certificates.js';
+import { validate } from '../middleware/validate.js';
+import { certificateCodeParams } from '../validators/certificates.js';
+
+config();
+
+const prisma = new PrismaClient();
+const CertificateRoutes = Router();
+
+// Get the current user's certificates
+CertificateRoutes.get('/', authMiddleware, async (req, res) => {
+  try {
+    const certificates = await prisma.certificate.findMany({
+      where: { user_id: req.userId },
+      orderBy: { issued_at: 'desc' }
+    });
+
+    successResponse(
+      res,
+      certificates.map(certificate => ({ ...certificate, verify_url: certificateVerifyUrl(certificate.code) })),
+      'Certificates retrieved successfully'
+    );
+  } catch (error) {
+    errorResponse(res, 'Failed to retrieve certificates', 500, error);
+  }
+});
+
+// Verify a certificate (public)
+CertificateRoutes.get('/:code', validate(certificateCodeParams), async (req, res) => {
+  try {
+    const certificate = await prisma.certificate.findUnique({
+      where: { code: req.params.code }
+    });
+
+    if (!certificate) {
+      return errorResponse(res, 'Certificate not found', 404);
+    }
+
+    successResponse(res, {
+      code: certificate.code,
+      full_name: certificate.full_name,
+      course_title: certificate.course_title,
+      issued_at: certificate.issued_at,
+      valid: isCertificateValid(certificate),
+      revoked_at: certificate.revoked_at
+    }, 'Certificate retrieved successfully');
+  } catch (error) {
+    errorResponse(res, 'Failed to retrieve certificate', 500, error);
+  }
+});
+
+// Download a certificate as PDF (public, revoked certificates are not rendered)
+CertificateRoutes.get('/:code/pdf', validate(certificateCodeParams), async (req, res) => {
+  try {
+    const certificate = await prisma.certificate.findUnique({
+      where: { code: req.params.code }
+    });
+
+    if (!certificate) {
+      return errorResponse(res, 'Certificate not found', 404);
+    }
+
+    if (!isCertificateValid(certificate)) {
+      return errorResponse(res, 'This certificate has been revoked', 410);
+    }
+
+    const pdf = await renderCertificatePdf(certificate);
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="certificate-${certificate.code}.pdf"`,
+      'Content-Length': pdf.length
+    });
+    res.send(pdf);
+  } catch (error) {
+    errorResponse(res, 'Failed to generate certificate', 500, error);
+  }
+});
+
+export default CertificateRoutes;
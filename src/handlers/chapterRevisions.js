@@ -0,0 +1,116 @@
+import { Router } from 'express';
+import { PrismaClient } from '@prisma/client';
+import { config } from 'dotenv';
+import { successResponse, errorResponse } from '../utils/apiResponses.js';
+import { authMiddleware, AdminMiddleware } from '../utils/utils.js';
+import {
+  listChapterRevisions,
+  findChapterRevision,
+  diffChapterRevisions,
+  restoreChapterRevision
+} from '../utils/chapterRevisions.js';
+import { validate } from '../middleware/validate.js';
+import { revisionListSchema, revisionParams, revisionDiffSchema } from '../validators/chapterRevisions.js';
+
+config();
+
+const prisma = new PrismaClient();
+
+// Monté sous /courses/:courseId/chapters/:chapterId/revisions, réservé aux administrateurs
+const ChapterRevisionRoutes = Router({ mergeParams: true });
+
+ChapterRevisionRoutes.use(authMiddleware, AdminMiddleware);
+
+const findChapter = (courseId, chapterId) => {
+  return prisma.chapter.findFirst({
+    where: { id: chapterId, course_id: courseId }
+  });
+};
+
+// List the revisions of a chapter, newest first
+ChapterRevisionRoutes.get('/', validate(revisionListSchema), async (req, res) => {
+  const { courseId, chapterId } = req.params;
+
+  try {
+    if (!(await findChapter(courseId, chapterId))) {
+      return errorResponse(res, 'Chapter not found', 404);
+    }
+
+    const revisions = await listChapterRevisions(chapterId);
+
+    successResponse(res, revisions, 'Chapter revisions retrieved successfully');
+  } catch (error) {
+    errorResponse(res, 'Failed to retrieve chapter revisions', 500, error);
+  }
+});
+
+// Diff two revisions (`to` defaults to the latest one)
+ChapterRevisionRoutes.get('/diff', validate(revisionDiffSchema), async (req, res) => {
+  const { courseId, chapterId } = req.params;
+  const { from, to } = req.query;
+
+  try {
+    if (!(await findChapter(courseId, chapterId))) {
+      return errorResponse(res, 'Chapter not found', 404);
+    }
+
+    const [fromRevision, toRevision] = await Promise.all([
+      findChapterRevision(chapterId, from),
+      to
+        ? findChapterRevision(chapterId, to)
+        : prisma.chapterRevision.findFirst({
+          where: { chapter_id: chapterId },
+          include: { author: { select: { id: true, full_name: true, email: true } } },
+          orderBy: { version: 'desc' }
+        })
+    ]);
+
+    if (!fromRevision || !toRevision) {
+      return errorResponse(res, 'Revision not found', 404);
+    }
+
+    successResponse(res, diffChapterRevisions(fromRevision, toRevision), 'Chapter revision diff retrieved successfully');
+  } catch (error) {
+    errorResponse(res, 'Failed to diff chapter revisions', 500, error);
+  }
+});
+
+// Get a revision with its content
+ChapterRevisionRoutes.get('/:version', validate(revisionParams), async (req, res) => {
+  const { courseId, chapterId, version } = req.params;
+
+  try {
+    const chapter = await findChapter(courseId, chapterId);
+    const revision = chapter && await findChapterRevision(chapterId, version);
+
+    if (!revision) {
+      return errorResponse(res, 'Revision not found', 404);
+    }
+
+    successResponse(res, revision, 'Chapter revision retrieved successfully');
+  } catch (error) {
+    errorResponse(res, 'Failed to retrieve chapter revision', 500, error);
+  }
+});
+
+// Restore a revision (recorded as a new revision)
+ChapterRevisionRoutes.post('/:version/restore', validate(revisionParams), async (req, res) => {
+  const { courseId, chapterId, version } = req.params;
+
+  try {
+    const chapter = await findChapter(courseId, chapterId);
+    const revision = chapter && await findChapterRevision(chapterId, version);
+
+    if (!revision) {
+      return errorResponse(res, 'Revision not found', 404);
+    }
+
+    const restored = await restoreChapterRevision(chapter, revision, req.userId);
+
+    successResponse(res, restored, `Chapter restored to version ${version}`);
+  } catch (error) {
+    errorResponse(res, 'Failed to restore chapter revision', 500, error);
+  }
+});
+
+export default ChapterRevisionRoutes;
@@ -2,13 +2,74 @@ import express, { Router } from 'express';
 import { PrismaClient } from '@prisma/client';
 import { config } from 'dotenv';
 import { successResponse, errorResponse } from '../utils/apiResponses.js';
-import { authMiddleware, AdminMiddleware, mentorAdminMiddleware } from '../utils/utils.js';
+import { authMiddleware, optionalAuthMiddleware, AdminMiddleware, mentorAdminMiddleware, verifiedEmailMiddleware } from '../utils/utils.js';
 import cloudinary from 'cloudinary';
 import multer from 'multer';
 import path from 'path';
 import fs from 'fs';
 import { emailHTMLTemlate, AdminEmailContent } from '../utils/mailHTML.js';
 import { SendEmail } from '../utils/utils.js';
+import { assignSubmission } from '../utils/mentorAssignment.js';
+import { resubmit, getSubmissionThread } from '../utils/submissionWorkflow.js';
+import { notifySubmissionAssigned } from '../utils/notifications.js';
+import { markChapterCompleted, setCurrentChapter } from '../utils/progress.js';
+import { issueCertificateIfCompleted } from '../utils/certificates.js';
+import QuizRoutes from './quizzes.js';
+import ChapterRevisionRoutes from './chapterRevisions.js';
+import { recordChapterRevision } from '../utils/chapterRevisions.js';
+import { searchCourses, tryRefreshCourseSearch } from '../utils/courseSearch.js';
+import { listCatalogCourses, parseDurationMinutes } from '../utils/courseCatalog.js';
+import { recommendCourses, findLatestSurvey } from '../utils/recommendations.js';
+import {
+  publishedCourseWhere,
+  isCoursePublished,
+  canReadCourse,
+  publishCourse,
+  unpublishCourse,
+  archiveCourse
+} from '../utils/courseStatus.js';
+import {
+  CHAPTER_ORDER,
+  nextChapterPosition,
+  reorderChapters,
+  assertChapterUnlocked,
+  bypassesSequentialMode,
+  getChapterReleaseState,
+  getSequentiallyLockedChapterIds
+} from '../utils/chapters.js';
+import { isPaidCourse } from '../payments/index.js';
+import {
+  activeEnrollmentWhere,
+  enrollUser,
+  dropEnrollment,
+  getActiveCourseIds,
+  hasActiveEnrollment,
+  isEnrollmentActive,
+  findEnrollment
+} from '../utils/enrollments.js';
+import { validate } from '../middleware/validate.js';
+import {
+  courseIdParams,
+  chapterParams,
+  getCourseSchema,
+  createCourseSchema,
+  updateCourseSchema,
+  nameSchema,
+  listCoursesSchema,
+  searchCoursesSchema,
+  recommendedCoursesSchema,
+  enrollSchema,
+  validateChapterSchema,
+  submitLinkSchema,
+  updateSubmissionSchema,
+  submissionIdParams,
+  enrolledProgressSchema,
+  createChapterSchema,
+  publishCourseSchema,
+  reorderChaptersSchema,
+  updateChapterSchema,
+  updateProgressSchema
+} from '../validators/courses.js';
 
 config();
 
@@ -48,59 +109,21 @@ const uploadToCloudinary = async (filePath) => {
   }
 };
 
-// Get all courses
-CoursesRoutes.get('/', async (req, res) => {
+// Get the course catalog
+CoursesRoutes.get('/', validate(listCoursesSchema), async (req, res) => {
   try {
-    const data = await prisma.course.findMany({
-      include: {
-        chapters: {
-          select: {
-            id: true,
-            title: true,
-            content: true
-          }
-        },
-        category: {
-          select: {
-            id: true,
-            name: true
-          }
-        },
-        course_tags: {
-          include: {
-            tag: {
-              select: {
-                id: true,
-                name: true
-              }
-            }
-          }
-        }
-      },
-      orderBy: {
-        id: 'asc'
-      }
-    });
-
-    const formattedData = data.map(course => ({
-      ...course,
-      tags: course.course_tags.map(ct => ct.tag),
-      chapters: course.chapters.sort((a, b) => a.id - b.id)
-    }));
+    const catalog = await listCatalogCourses(req.query);
 
-    successResponse(res, formattedData, 'Courses retrieved successfully');
+    successResponse(res, catalog, 'Courses retrieved successfully');
   } catch (error) {
     errorResponse(res, 'Failed to retrieve courses', 500, error);
   }
 });
 
 // Create course
-CoursesRoutes.post('/', authMiddleware, AdminMiddleware, upload.single('coverImage'), async (req, res) => {
-  const { title, description, price, category_id, duration, tags } = req.body;
-
-  if (!title || !description || !category_id || !duration) {
-    return errorResponse(res, 'Missing required fields', 400);
-  }
+CoursesRoutes.post('/', authMiddleware, AdminMiddleware, upload.single('coverImage'), validate(createCourseSchema), async (req, res) => {
+  // Corps validé par createCourseSchema : prix et ids déjà convertis, tags en tableau
+  const { title, description, price, category_id, duration, duration_minutes, tags, sequential } = req.body;
 
   try {
     let coverImageUrl = null;
@@ -108,20 +131,20 @@ CoursesRoutes.post('/', authMiddleware, AdminMiddleware, upload.single('coverIma
       coverImageUrl = await uploadToCloudinary(req.file.path);
     }
 
-    const parsedTags = Array.isArray(tags) ? tags : JSON.parse(tags);
-
     const course = await prisma.course.create({
       data: {
         title,
         description,
-        price: parseFloat(price),
-        category_id: parseInt(category_id),
+        price: price ?? null,
+        category_id,
         duration,
+        duration_minutes: duration_minutes ?? parseDurationMinutes(duration),
+        sequential,
         cover_image_url: coverImageUrl,
         course_tags: {
-          create: parsedTags.map(tagId => ({
+          create: tags.map(tagId => ({
             tag: {
-              connect: { id: parseInt(tagId) }
+              connect: { id: tagId }
             }
           }))
         }
@@ -136,6 +159,8 @@ CoursesRoutes.post('/', authMiddleware, AdminMiddleware, upload.single('coverIma
       }
     });
 
+    await tryRefreshCourseSearch(course.id);
+
     successResponse(res, course, 'Course created successfully');
   } catch (error) {
     console.error('Error creating course:', error);
@@ -159,7 +184,7 @@ CoursesRoutes.get('/categories', async (req, res) => {
 });
 
 // Create category
-CoursesRoutes.post('/categories', authMiddleware, AdminMiddleware, async (req, res) => {
+CoursesRoutes.post('/categories', authMiddleware, AdminMiddleware, validate(nameSchema), async (req, res) => {
   const { name } = req.body;
   try {
     const category = await prisma.category.create({
@@ -188,7 +213,7 @@ CoursesRoutes.get('/tags', async (req, res) => {
 });
 
 // Create tag
-CoursesRoutes.post('/tags', authMiddleware, AdminMiddleware, async (req, res) => {
+CoursesRoutes.post('/tags', authMiddleware, AdminMiddleware, validate(nameSchema), async (req, res) => {
   const { name } = req.body;
   try {
     const tag = await prisma.tag.create({
@@ -201,72 +226,55 @@ CoursesRoutes.post('/tags', authMiddleware, AdminMiddleware, async (req, res) =>
   }
 });
 
-// Search courses
-CoursesRoutes.get('/search', async (req, res) => {
-  const { query, category, tags } = req.query;
-
+// Search courses: ranked full-text search with typo tolerance, pagination and facets
+CoursesRoutes.get('/search', validate(searchCoursesSchema), async (req, res) => {
   try {
-    let whereClause = {};
-
-    if (query) {
-      whereClause.OR = [
-        { title: { contains: query, mode: 'insensitive' } },
-        { description: { contains: query, mode: 'insensitive' } }
-      ];
-    }
+    const results = await searchCourses(req.query);
 
-    if (category) {
-      whereClause.category_id = parseInt(category);
-    }
+    successResponse(res, results, 'Courses retrieved successfully');
+  } catch (error) {
+    errorResponse(res, 'Failed to search courses', 500, error);
+  }
+});
 
-    if (tags) {
-      const tagArray = tags.split(',').map(Number);
-      whereClause.course_tags = {
-        some: {
-          tag_id: {
-            in: tagArray
-          }
-        }
-      };
-    }
+// Get course recommendations from the user's latest survey and enrollments
+CoursesRoutes.get('/recommended', authMiddleware, validate(recommendedCoursesSchema), async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({ where: { id: req.userId } });
+    const survey = await findLatestSurvey(user);
 
-    const courses = await prisma.course.findMany({
-      where: whereClause,
-      include: {
-        category: true,
-        course_tags: {
-          include: {
-            tag: true
-          }
-        }
-      }
-    });
+    const recommendations = await recommendCourses({ survey, userId: user.id, limit: req.query.limit });
 
-    successResponse(res, courses, 'Courses retrieved successfully');
+    successResponse(res, { survey_id: survey?.id ?? null, recommendations }, 'Recommendations retrieved successfully');
   } catch (error) {
-    errorResponse(res, 'Failed to search courses', 500, error);
+    errorResponse(res, 'Failed to retrieve recommendations', 500, error);
   }
 });
 
 // Get enrolled courses
 CoursesRoutes.get('/enrolled', authMiddleware, async (req, res) => {
   try {
-    const user = await prisma.user.findUnique({
-      where: { id: req.userId },
-      select: { enrolled_courses: true }
+    const enrollments = await prisma.enrollment.findMany({
+      where: {
+        user_id: req.userId,
+        ...activeEnrollmentWhere()
+      },
+      include: {
+        course: true
+      },
+      orderBy: {
+        enrolled_at: 'desc'
+      }
     });
 
-    if (!user.enrolled_courses.length) {
+    if (!enrollments.length) {
       return successResponse(res, [], 'User has no enrolled courses');
     }
 
-    const courses = await prisma.course.findMany({
-      where: {
-        id: {
-          in: user.enrolled_courses
-        }
-      }
-    });
+    const courses = enrollments.map(({ course, ...enrollment }) => ({
+      ...course,
+      enrollment
+    }));
 
     successResponse(res, courses, 'Enrolled courses retrieved successfully');
   } catch (error) {
@@ -275,13 +283,8 @@ CoursesRoutes.get('/enrolled', authMiddleware, async (req, res) => {
 });
 
 // Enroll in course
-CoursesRoutes.post('/enroll/:courseId', authMiddleware, async (req, res) => {
+CoursesRoutes.post('/enroll/:courseId', authMiddleware, verifiedEmailMiddleware, validate(enrollSchema), async (req, res) => {
   const { courseId } = req.params;
-  const { email } = req.body;
-
-  if (!email) {
-    return errorResponse(res, 'Email is required', 400);
-  }
 
   try {
     const course = await prisma.course.findUnique({
@@ -292,7 +295,8 @@ CoursesRoutes.post('/enroll/:courseId', authMiddleware, async (req, res) => {
             id: true,
             title: true,
             content: true
-          }
+          },
+          orderBy: CHAPTER_ORDER
         }
       }
     });
@@ -301,43 +305,41 @@ CoursesRoutes.post('/enroll/:courseId', authMiddleware, async (req, res) => {
       throw new Error('Course not found');
     }
 
+    if (!isCoursePublished(course)) {
+      return errorResponse(res, 'This course is not open for enrollment', 403);
+    }
+
+    // Les cours payants passent par le paiement : l'inscription suit la confirmation du fournisseur
+    if (isPaidCourse(course)) {
+      return errorResponse(res, 'This course requires payment, use POST /payments/checkout/:courseId', 402);
+    }
+
+    // Toujours l'utilisateur connecté, dont l'email a été vérifié par verifiedEmailMiddleware
     const user = await prisma.user.findUnique({
-      where: { email }
+      where: { id: req.userId }
     });
 
     if (!user) {
       throw new Error('User not found');
     }
 
-    if (user.enrolled_courses.includes(parseInt(courseId))) {
-      throw new Error('User already enrolled in this course');
-    }
-
-    const updatedUser = await prisma.user.update({
-      where: { id: user.id },
-      data: {
-        enrolled_courses: {
-          push: parseInt(courseId)
-        }
-      }
+    const { enrollment, created } = await enrollUser({
+      userId: user.id,
+      courseId: course.id,
+      source: 'SELF'
     });
 
-    await prisma.course.update({
-      where: { id: parseInt(courseId) },
-      data: {
-        enrolled_count: {
-          increment: 1
-        }
-      }
-    });
+    if (!created) {
+      throw new Error('User already enrolled in this course');
+    }
 
-    // Email sending logic remains the same
+    // Emails mis en file d'envoi : une panne du fournisseur ne fait pas échouer l'inscription
     const REACT_APP_URL = process.env.REACT_APP_URL;
     const emailHtml = emailHTMLTemlate({ course, courseId, user, REACT_APP_URL });
-    const adminEmailHTML = AdminEmailContent({ course, user, email });
+    const adminEmailHTML = AdminEmailContent({ course: { ...course, enrolled_count: course.enrolled_count + 1 }, user, email: user.email });
 
     await SendEmail({
-      mail: email,
+      mail: user.email,
       name: user.full_name,
       subject: `Bienvenue au cours : ${course.title}`,
       HTMLPart: emailHtml
@@ -350,20 +352,35 @@ CoursesRoutes.post('/enroll/:courseId', authMiddleware, async (req, res) => {
       HTMLPart: adminEmailHTML
     });
 
-    successResponse(res, updatedUser, 'User enrolled successfully');
+    successResponse(res, enrollment, 'User enrolled successfully');
   } catch (error) {
     errorResponse(res, error.message, 500, error);
   }
 });
 
+// Drop out of a course
+CoursesRoutes.delete('/enroll/:courseId', authMiddleware, validate(courseIdParams), async (req, res) => {
+  try {
+    const enrollment = await dropEnrollment(req.userId, req.params.courseId);
+
+    if (!enrollment) {
+      return errorResponse(res, 'You are not enrolled in this course', 404);
+    }
+
+    successResponse(res, enrollment, 'Unenrolled from course successfully');
+  } catch (error) {
+    errorResponse(res, 'Failed to unenroll from course', 500, error);
+  }
+});
+
 // Get specific course
-CoursesRoutes.get('/:id', async (req, res) => {
+CoursesRoutes.get('/:id', optionalAuthMiddleware, validate(getCourseSchema), async (req, res) => {
   try {
     const course = await prisma.course.findUnique({
       where: { id: parseInt(req.params.id) },
       include: {
         chapters: {
-          orderBy: { position: 'asc' },
+          orderBy: CHAPTER_ORDER
         },
         category: true,
         course_tags: {
@@ -374,43 +391,82 @@ CoursesRoutes.get('/:id', async (req, res) => {
       }
     });
 
-    if (!course) {
+    // Brouillons et cours programmés : équipe pédagogique seulement ; archivés : inscrits aussi
+    if (!course || !(await canReadCourse(course, req.auth))) {
       return errorResponse(res, 'Course not found', 404);
     }
 
-    successResponse(res, course, 'Course and chapters retrieved successfully');
+    // État de publication et verrou séquentiel de chaque chapitre pour l'utilisateur connecté
+    // (anonyme : sans inscription ni progression). Le contenu n'est envoyé qu'aux inscrits,
+    // aux mentors et aux administrateurs, et jamais pour un chapitre verrouillé.
+    const enrollment = req.userId ? await findEnrollment(req.userId, course.id) : null;
+    const bypass = req.auth && bypassesSequentialMode(req.auth.role);
+    const canReadContent = bypass || isEnrollmentActive(enrollment);
+    const sequentiallyLocked = bypass
+      ? new Set()
+      : await getSequentiallyLockedChapterIds({ userId: req.userId, course, chapters: course.chapters });
+
+    const chapters = course.chapters.map(chapter => {
+      const { locked, unlock_date } = getChapterReleaseState(chapter, enrollment);
+      const isLocked = (locked || sequentiallyLocked.has(chapter.id)) && !bypass;
+
+      return { ...chapter, content: isLocked || !canReadContent ? null : chapter.content, locked: isLocked, unlock_date };
+    });
+
+    successResponse(res, { ...course, chapters }, 'Course and chapters retrieved successfully');
   } catch (error) {
     errorResponse(res, 'Failed to retrieve course and chapters', 500, error);
   }
 });
 
+// Chapter quizzes: authoring, attempts and grading
+CoursesRoutes.use('/:courseId/chapters/:chapterId/quiz', QuizRoutes);
+
+// Chapter revision history (admin only)
+CoursesRoutes.use('/:courseId/chapters/:chapterId/revisions', ChapterRevisionRoutes);
+
 // Get chapter content
-CoursesRoutes.get('/:courseId/chapters/:chapterId', authMiddleware, async (req, res) => {
+CoursesRoutes.get('/:courseId/chapters/:chapterId', authMiddleware, validate(chapterParams), async (req, res) => {
   try {
     const chapter = await prisma.chapter.findFirst({
       where: {
         id: parseInt(req.params.chapterId),
         course_id: parseInt(req.params.courseId)
+      },
+      include: {
+        course: true
       }
     });
 
-    if (!chapter) {
+    if (!chapter || !(await canReadCourse(chapter.course, req.auth))) {
       return errorResponse(res, 'Chapter not found', 404);
     }
 
+    // Le contenu est réservé aux inscrits : un remboursement ou une désinscription retire l'accès
+    if (!bypassesSequentialMode(req.auth.role) && !(await hasActiveEnrollment(req.userId, chapter.course_id))) {
+      return errorResponse(res, 'You are not enrolled in this course', 403);
+    }
+
+    // Mode séquentiel : les chapitres précédents doivent être terminés
+    await assertChapterUnlocked({ auth: req.auth, course: chapter.course, chapter });
+
     successResponse(res, chapter.content, 'Chapter content retrieved successfully');
   } catch (error) {
-    errorResponse(res, 'Failed to retrieve chapter content', 500, error);
+    errorResponse(res, error.statusCode ? error.message : 'Failed to retrieve chapter content', error.statusCode || 500, error);
   }
 });
 
 // Update user progress
 // Get user progress for a specific course
-CoursesRoutes.get('/:courseId/progress', authMiddleware, async (req, res) => {
+CoursesRoutes.get('/:courseId/progress', authMiddleware, validate(courseIdParams), async (req, res) => {
   const userId = req.userId;
   const courseId = parseInt(req.params.courseId);
 
   try {
+    if (!(await hasActiveEnrollment(userId, courseId))) {
+      return errorResponse(res, 'You are not enrolled in this course', 403);
+    }
+
     // Get total chapters count
     const totalChapters = await prisma.chapter.count({
       where: {
@@ -458,7 +514,17 @@ CoursesRoutes.get('/:courseId/progress', authMiddleware, async (req, res) => {
         : 0
     };
 
-    return successResponse(res, progressData, 'User progress retrieved successfully');
+    // Lecture seule : le certificat est délivré aux points d'achèvement (progression, soumission acceptée, quiz réussi)
+    const certificate = await prisma.certificate.findUnique({
+      where: { user_id_course_id: { user_id: userId, course_id: courseId } },
+      select: { code: true }
+    });
+
+    return successResponse(
+      res,
+      { ...progressData, certificate_code: certificate?.code ?? null },
+      'User progress retrieved successfully'
+    );
 
   } catch (error) {
     console.error('Main error in progress retrieval:', error);
@@ -467,7 +533,7 @@ CoursesRoutes.get('/:courseId/progress', authMiddleware, async (req, res) => {
 });
 
 // Validate chapter
-CoursesRoutes.post('/:courseId/validate-chapter', authMiddleware, mentorAdminMiddleware, async (req, res) => {
+CoursesRoutes.post('/:courseId/validate-chapter', authMiddleware, mentorAdminMiddleware, validate(validateChapterSchema), async (req, res) => {
   const { chapterId, score, studentId } = req.body;
   const courseId = parseInt(req.params.courseId);
 
@@ -476,27 +542,24 @@ CoursesRoutes.post('/:courseId/validate-chapter', authMiddleware, mentorAdminMid
   }
 
   try {
-    const progress = await prisma.userProgress.upsert({
-      where: {
-        user_id_course_id: {
-          user_id: parseInt(studentId),
-          course_id: courseId
-        }
-      },
-      update: {
-        current_chapter_id: parseInt(chapterId),
-        completed_chapters: {
-          push: parseInt(chapterId)
-        }
-      },
-      create: {
-        user_id: parseInt(studentId),
-        course_id: courseId,
-        current_chapter_id: parseInt(chapterId),
-        completed_chapters: [parseInt(chapterId)]
-      }
+    if (!(await hasActiveEnrollment(studentId, courseId))) {
+      return errorResponse(res, 'The student is not enrolled in this course', 403);
+    }
+
+    const quiz = await prisma.quiz.findUnique({ where: { chapter_id: chapterId } });
+
+    if (quiz) {
+      return errorResponse(res, 'This chapter is completed by passing its quiz', 409);
+    }
+
+    const progress = await markChapterCompleted({
+      userId: studentId,
+      courseId,
+      chapterId
     });
 
+    await issueCertificateIfCompleted({ userId: studentId, courseId });
+
     successResponse(res, progress, 'Chapter validated and progress updated successfully');
   } catch (error) {
     errorResponse(res, 'Failed to validate chapter and update progress', 500, error);
@@ -504,75 +567,119 @@ CoursesRoutes.post('/:courseId/validate-chapter', authMiddleware, mentorAdminMid
 });
 
 // Submit work link
-CoursesRoutes.post('/:courseId/chapters/:chapterId/submit-link', authMiddleware, async (req, res) => {
+CoursesRoutes.post('/:courseId/chapters/:chapterId/submit-link', authMiddleware, verifiedEmailMiddleware, validate(submitLinkSchema), async (req, res) => {
   const { courseId, chapterId } = req.params;
   const { link } = req.body;
   const userId = req.userId;
 
   try {
+    // Une seule soumission active par chapitre : les nouvelles versions passent par PUT /submissions/:id
+    const existing = await prisma.submission.findFirst({
+      where: {
+        user_id: userId,
+        chapter_id: chapterId,
+        status: { not: 'REJECTED' }
+      }
+    });
+
+    if (existing) {
+      return errorResponse(res, 'A submission already exists for this chapter, update it instead', 409);
+    }
+
     const submission = await prisma.submission.create({
       data: {
         user_id: userId,
         course_id: parseInt(courseId),
         chapter_id: parseInt(chapterId),
         link,
-        status: 'PENDING'
+        status: 'PENDING',
+        attempts: {
+          create: { version: 1, link }
+        }
       }
     });
 
-    successResponse(res, submission, 'Submission created successfully');
+    // Assigner un mentor ; en cas d'échec la soumission reste visible par tous les mentors
+    let assignedSubmission = submission;
+    try {
+      assignedSubmission = (await assignSubmission(submission)) || submission;
+    } catch (assignError) {
+      console.error('Mentor assignment error:', assignError);
+    }
+
+    successResponse(res, assignedSubmission, 'Submission created successfully');
   } catch (error) {
     errorResponse(res, 'Failed to create submission', 500, error);
   }
 });
 
-// Update submission
-CoursesRoutes.put('/submissions/:submissionId', authMiddleware, async (req, res) => {
+// Update submission (new attempt)
+CoursesRoutes.put('/submissions/:submissionId', authMiddleware, verifiedEmailMiddleware, validate(updateSubmissionSchema), async (req, res) => {
   const { submissionId } = req.params;
   const { link } = req.body;
   const userId = req.userId;
 
   try {
-    const submission = await prisma.submission.updateMany({
+    const submission = await prisma.submission.findFirst({
       where: {
-        id: parseInt(submissionId),
+        id: submissionId,
         user_id: userId
-      },
-      data: {
-        link,
-        status: 'PENDING',
-        updated_at: new Date()
       }
     });
 
-    if (submission.count === 0) {
+    if (!submission) {
       return errorResponse(res, 'Submission not found or you do not have permission to update it', 404);
     }
 
-    const updatedSubmission = await prisma.submission.findUnique({
-      where: { id: parseInt(submissionId) }
-    });
+    // L'ancienne version et les commentaires associés sont conservés dans le fil
+    const updatedSubmission = await resubmit(submission, link);
+
+    // La nouvelle version revient dans la file du mentor assigné
+    await notifySubmissionAssigned(updatedSubmission.id);
 
     successResponse(res, updatedSubmission, 'Submission updated successfully');
   } catch (error) {
-    errorResponse(res, 'Failed to update submission', 500, error);
+    errorResponse(res, error.statusCode ? error.message : 'Failed to update submission', error.statusCode || 500, error);
+  }
+});
+
+// Get the full review thread of one of the user's submissions
+CoursesRoutes.get('/submissions/:submissionId/thread', authMiddleware, validate(submissionIdParams), async (req, res) => {
+  try {
+    const thread = await getSubmissionThread(req.params.submissionId);
+
+    if (!thread || thread.user_id !== req.userId) {
+      return errorResponse(res, 'Submission not found', 404);
+    }
+
+    successResponse(res, thread, 'Submission thread retrieved successfully');
+  } catch (error) {
+    errorResponse(res, 'Failed to retrieve submission thread', 500, error);
   }
 });
 
 // Update course
-CoursesRoutes.put('/:courseId', authMiddleware, AdminMiddleware, upload.single('coverImage'), async (req, res) => {
+CoursesRoutes.put('/:courseId', authMiddleware, AdminMiddleware, upload.single('coverImage'), validate(updateCourseSchema), async (req, res) => {
   const { courseId } = req.params;
-  const { title, description, price, category_id, duration, tags } = req.body;
+  const { title, description, price, category_id, duration, duration_minutes, tags, sequential } = req.body;
 
   try {
+    // Seuls les champs fournis sont mis à jour
     let updateData = {
       title,
       description,
-      price: parseFloat(price),
-      category_id: parseInt(category_id),
-      duration
+      price,
+      category_id,
+      duration,
+      duration_minutes,
+      sequential
     };
 
+    // Un nouveau libellé de durée sans durée explicite : la durée en minutes en est tirée
+    if (duration !== undefined && duration_minutes === undefined) {
+      updateData.duration_minutes = parseDurationMinutes(duration);
+    }
+
     if (req.file) {
       updateData.cover_image_url = await uploadToCloudinary(req.file.path);
     }
@@ -585,7 +692,7 @@ CoursesRoutes.put('/:courseId', authMiddleware, AdminMiddleware, upload.single('
 
     // Mise à jour des tags si nécessaire
     if (tags) {
-      const tagArray = JSON.parse(tags);
+      const tagArray = tags;
 
       // Supprimer les anciens tags
       await prisma.courseTag.deleteMany({
@@ -616,16 +723,82 @@ CoursesRoutes.put('/:courseId', authMiddleware, AdminMiddleware, upload.single('
       }
     });
 
+    await tryRefreshCourseSearch(finalCourse.id);
+
     successResponse(res, finalCourse, 'Course updated successfully');
   } catch (error) {
     errorResponse(res, 'Failed to update course', 500, error);
   }
 });
 
+// Publish a course now, or schedule it with a future publish_at
+CoursesRoutes.post('/:courseId/publish', authMiddleware, AdminMiddleware, validate(publishCourseSchema), async (req, res) => {
+  try {
+    const course = await prisma.course.findUnique({ where: { id: req.params.courseId } });
+
+    if (!course) {
+      return errorResponse(res, 'Course not found', 404);
+    }
+
+    const publishAt = req.body.publish_at ? new Date(req.body.publish_at) : null;
+    const updated = await publishCourse(course, publishAt);
+
+    successResponse(
+      res,
+      updated,
+      updated.status === 'SCHEDULED' ? 'Course publication scheduled successfully' : 'Course published successfully'
+    );
+  } catch (error) {
+    errorResponse(res, error.statusCode ? error.message : 'Failed to publish course', error.statusCode || 500, error);
+  }
+});
+
+// Move a course back to draft
+CoursesRoutes.post('/:courseId/unpublish', authMiddleware, AdminMiddleware, validate(courseIdParams), async (req, res) => {
+  try {
+    const course = await prisma.course.findUnique({ where: { id: req.params.courseId } });
+
+    if (!course) {
+      return errorResponse(res, 'Course not found', 404);
+    }
+
+    const updated = await unpublishCourse(course);
+
+    successResponse(res, updated, 'Course unpublished successfully');
+  } catch (error) {
+    errorResponse(res, error.statusCode ? error.message : 'Failed to unpublish course', error.statusCode || 500, error);
+  }
+});
+
+// Archive a course: hidden from the catalog, still readable by enrolled learners
+CoursesRoutes.post('/:courseId/archive', authMiddleware, AdminMiddleware, validate(courseIdParams), async (req, res) => {
+  try {
+    const course = await prisma.course.findUnique({ where: { id: req.params.courseId } });
+
+    if (!course) {
+      return errorResponse(res, 'Course not found', 404);
+    }
+
+    const updated = await archiveCourse(course);
+
+    successResponse(res, updated, 'Course archived successfully');
+  } catch (error) {
+    errorResponse(res, error.statusCode ? error.message : 'Failed to archive course', error.statusCode || 500, error);
+  }
+});
+
 // Delete course
-CoursesRoutes.delete('/:courseId', authMiddleware, AdminMiddleware, async (req, res) => {
+CoursesRoutes.delete('/:courseId', authMiddleware, AdminMiddleware, validate(courseIdParams), async (req, res) => {
   const { courseId } = req.params;
   try {
+    // Les commandes et utilisations de codes promo sont des pièces comptables : elles ne sont pas
+    // supprimées en cascade, le cours vendu doit être archivé
+    const orders = await prisma.order.count({ where: { course_id: parseInt(courseId) } });
+
+    if (orders > 0) {
+      return errorResponse(res, 'This course has orders and cannot be deleted, archive it with POST /courses/:courseId/archive instead', 409);
+    }
+
     // Prisma va automatiquement supprimer les relations grâce aux relations onDelete: Cascade
     await prisma.course.delete({
       where: { id: parseInt(courseId) }
@@ -633,22 +806,23 @@ CoursesRoutes.delete('/:courseId', authMiddleware, AdminMiddleware, async (req,
 
     successResponse(res, { id: courseId }, 'Course deleted successfully');
   } catch (error) {
+    // Commande créée entre la vérification et la suppression
+    if (error.code === 'P2003') {
+      return errorResponse(res, 'This course has orders and cannot be deleted, archive it with POST /courses/:courseId/archive instead', 409);
+    }
     errorResponse(res, 'Failed to delete course', 500, error);
   }
 });
 
 // Get progress for all enrolled courses
-CoursesRoutes.get('/enrolled/progress/:userId', authMiddleware, async (req, res) => {
+CoursesRoutes.get('/enrolled/progress/:userId', authMiddleware, validate(enrolledProgressSchema), async (req, res) => {
   const userId = parseInt(req.params.userId);
 
   try {
-    // Récupérer l'utilisateur et ses cours inscrits
-    const user = await prisma.user.findUnique({
-      where: { id: userId },
-      select: { enrolled_courses: true }
-    });
+    // Récupérer les cours auxquels l'utilisateur a accès
+    const enrolledCourseIds = await getActiveCourseIds(userId);
 
-    if (!user || !user.enrolled_courses.length) {
+    if (!enrolledCourseIds.length) {
       return successResponse(res, [], 'User has no enrolled courses');
     }
 
@@ -657,7 +831,7 @@ CoursesRoutes.get('/enrolled/progress/:userId', authMiddleware, async (req, res)
       where: {
         user_id: userId,
         course_id: {
-          in: user.enrolled_courses
+          in: enrolledCourseIds
         }
       }
     });
@@ -666,7 +840,7 @@ CoursesRoutes.get('/enrolled/progress/:userId', authMiddleware, async (req, res)
     const courses = await prisma.course.findMany({
       where: {
         id: {
-          in: user.enrolled_courses
+          in: enrolledCourseIds
         }
       },
       include: {
@@ -703,9 +877,9 @@ CoursesRoutes.get('/enrolled/progress/:userId', authMiddleware, async (req, res)
 });
 
 // Route pour ajouter un chapitre
-CoursesRoutes.post('/:courseId/chapters', authMiddleware, AdminMiddleware, async (req, res) => {
+CoursesRoutes.post('/:courseId/chapters', authMiddleware, AdminMiddleware, validate(createChapterSchema), async (req, res) => {
   const { courseId } = req.params;
-  const { title, content } = req.body;
+  const { title, content, requires_submission, release_at, release_after_days } = req.body;
 
   try {
     // Vérifier si le cours existe
@@ -717,15 +891,23 @@ CoursesRoutes.post('/:courseId/chapters', authMiddleware, AdminMiddleware, async
       return errorResponse(res, 'Course not found', 404);
     }
 
-    // Créer le chapitre
-    const newChapter = await prisma.chapter.create({
-      data: {
-        title,
-        content,
-        course: {
-          connect: { id: parseInt(courseId) }
+    // Créer le chapitre en dernière position, avec sa version 1
+    await prisma.$transaction(async (tx) => {
+      const newChapter = await tx.chapter.create({
+        data: {
+          title,
+          content,
+          requires_submission,
+          release_at: release_at ? new Date(release_at) : null,
+          release_after_days: release_after_days ?? null,
+          position: await nextChapterPosition(course.id, tx),
+          course: {
+            connect: { id: parseInt(courseId) }
+          }
         }
-      }
+      });
+
+      await recordChapterRevision(newChapter, { authorId: req.userId }, tx);
     });
 
     // Récupérer tous les chapitres du cours pour les renvoyer
@@ -736,13 +918,14 @@ CoursesRoutes.post('/:courseId/chapters', authMiddleware, AdminMiddleware, async
       select: {
         id: true,
         title: true,
-        content: true
+        content: true,
+        position: true
       },
-      orderBy: {
-        id: 'asc'
-      }
+      orderBy: CHAPTER_ORDER
     });
 
+    await tryRefreshCourseSearch(course.id);
+
     successResponse(res, allChapters, 'Chapter created successfully');
   } catch (error) {
     console.error('Error creating chapter:', error);
@@ -751,7 +934,7 @@ CoursesRoutes.post('/:courseId/chapters', authMiddleware, AdminMiddleware, async
 });
 
 // Get submission status for a chapter
-CoursesRoutes.get('/:courseId/chapters/:chapterId/submission-status', authMiddleware, async (req, res) => {
+CoursesRoutes.get('/:courseId/chapters/:chapterId/submission-status', authMiddleware, validate(chapterParams), async (req, res) => {
   const { courseId, chapterId } = req.params;
   const userId = req.userId;
 
@@ -762,6 +945,9 @@ CoursesRoutes.get('/:courseId/chapters/:chapterId/submission-status', authMiddle
         course_id: parseInt(courseId),
         chapter_id: parseInt(chapterId)
       },
+      orderBy: {
+        created_at: 'desc'
+      },
       include: {
         mentor: {
           select: {
@@ -787,24 +973,68 @@ CoursesRoutes.get('/:courseId/chapters/:chapterId/submission-status', authMiddle
   }
 });
 
+// Reorder all chapters of a course
+CoursesRoutes.put('/:courseId/chapters/reorder', authMiddleware, AdminMiddleware, validate(reorderChaptersSchema), async (req, res) => {
+  try {
+    const course = await prisma.course.findUnique({ where: { id: req.params.courseId } });
+
+    if (!course) {
+      return errorResponse(res, 'Course not found', 404);
+    }
+
+    const chapters = await reorderChapters(course.id, req.body.chapter_ids);
+
+    successResponse(res, chapters, 'Chapters reordered successfully');
+  } catch (error) {
+    errorResponse(res, error.statusCode ? error.message : 'Failed to reorder chapters', error.statusCode || 500, error);
+  }
+});
+
 // Update chapter
-CoursesRoutes.put('/:courseId/chapters/:chapterId', authMiddleware, AdminMiddleware, async (req, res) => {
+CoursesRoutes.put('/:courseId/chapters/:chapterId', authMiddleware, AdminMiddleware, validate(updateChapterSchema), async (req, res) => {
   const { courseId, chapterId } = req.params;
-  const { title, content } = req.body;
+  const { title, content, requires_submission, release_at, release_after_days } = req.body;
+
+  // Une seule règle de publication à la fois : en fixer une efface l'autre
+  const releaseData = {};
+  if (release_at) {
+    releaseData.release_at = new Date(release_at);
+    releaseData.release_after_days = null;
+  } else if (release_at === null) {
+    releaseData.release_at = null;
+  }
+  if (release_after_days !== undefined && release_after_days !== null) {
+    releaseData.release_after_days = release_after_days;
+    releaseData.release_at = null;
+  } else if (release_after_days === null) {
+    releaseData.release_after_days = null;
+  }
 
   try {
     // Vérifier que le chapitre appartient bien au cours
-    const updatedChapter = await prisma.chapter.updateMany({
-      where: {
-        AND: [
-          { id: parseInt(chapterId) },
-          { course_id: parseInt(courseId) }
-        ]
-      },
-      data: {
-        title,
-        content
+    const updatedChapter = await prisma.$transaction(async (tx) => {
+      const updated = await tx.chapter.updateMany({
+        where: {
+          AND: [
+            { id: parseInt(chapterId) },
+            { course_id: parseInt(courseId) }
+          ]
+        },
+        data: {
+          title,
+          content,
+          requires_submission,
+          ...releaseData
+        }
+      });
+
+      // Seuls le titre et le contenu sont versionnés
+      if (updated.count > 0 && (title !== undefined || content !== undefined)) {
+        const chapter = await tx.chapter.findUnique({ where: { id: parseInt(chapterId) } });
+        await recordChapterRevision(chapter, { authorId: req.userId }, tx);
       }
+
+      return updated;
     });
 
     if (updatedChapter.count === 0) {
@@ -819,13 +1049,16 @@ CoursesRoutes.put('/:courseId/chapters/:chapterId', authMiddleware, AdminMiddlew
       select: {
         id: true,
         title: true,
-        content: true
+        content: true,
+        position: true
       },
-      orderBy: {
-        id: 'asc'
-      }
+      orderBy: CHAPTER_ORDER
     });
 
+    if (title !== undefined) {
+      await tryRefreshCourseSearch(parseInt(courseId));
+    }
+
     successResponse(res, allChapters, 'Chapter updated successfully');
   } catch (error) {
     console.error('Error updating chapter:', error);
@@ -834,7 +1067,7 @@ CoursesRoutes.put('/:courseId/chapters/:chapterId', authMiddleware, AdminMiddlew
 });
 
 // Update user progress
-CoursesRoutes.post('/:courseId/progress', authMiddleware, async (req, res) => {
+CoursesRoutes.post('/:courseId/progress', authMiddleware, validate(updateProgressSchema), async (req, res) => {
   const userId = req.userId;
   const courseId = parseInt(req.params.courseId);
   const { chapterId, isCompleted } = req.body;
@@ -845,6 +1078,9 @@ CoursesRoutes.post('/:courseId/progress', authMiddleware, async (req, res) => {
       where: {
         id: parseInt(chapterId),
         course_id: courseId
+      },
+      include: {
+        course: true
       }
     });
 
@@ -852,42 +1088,28 @@ CoursesRoutes.post('/:courseId/progress', authMiddleware, async (req, res) => {
       return errorResponse(res, 'Chapter not found', 404);
     }
 
-    // Récupérer ou créer la progression
-    let progress = await prisma.userProgress.findFirst({
-      where: {
-        user_id: userId,
-        course_id: courseId
-      }
-    });
+    if (!(await hasActiveEnrollment(userId, courseId))) {
+      return errorResponse(res, 'You are not enrolled in this course', 403);
+    }
 
-    if (!progress) {
-      progress = await prisma.userProgress.create({
-        data: {
-          user_id: userId,
-          course_id: courseId,
-          current_chapter_id: parseInt(chapterId),
-          completed_chapters: isCompleted ? [parseInt(chapterId)] : []
-        }
-      });
-    } else {
-      // Mettre à jour la progression existante
-      let newCompletedChapters = [...(progress.completed_chapters || [])];
+    // Ces chapitres sont validés automatiquement quand le mentor accepte la soumission
+    if (isCompleted && chapter.requires_submission) {
+      return errorResponse(res, 'This chapter is completed once your submission is accepted by a mentor', 403);
+    }
 
-      if (isCompleted && !newCompletedChapters.includes(parseInt(chapterId))) {
-        newCompletedChapters.push(parseInt(chapterId));
-      }
+    // Idem pour les chapitres avec quiz : seule une tentative réussie les termine
+    if (isCompleted && await prisma.quiz.count({ where: { chapter_id: chapter.id } })) {
+      return errorResponse(res, 'This chapter is completed by passing its quiz', 403);
+    }
 
-      progress = await prisma.userProgress.update({
-        where: {
-          id: progress.id
-        },
-        data: {
-          current_chapter_id: parseInt(chapterId),
-          completed_chapters: newCompletedChapters
-        }
-      });
+    if (isCompleted) {
+      await assertChapterUnlocked({ auth: req.auth, course: chapter.course, chapter });
     }
 
+    const progress = isCompleted
+      ? await markChapterCompleted({ userId, courseId, chapterId: chapter.id })
+      : await setCurrentChapter({ userId, courseId, chapterId: chapter.id });
+
     // Calculer le pourcentage de progression
     const totalChapters = await prisma.chapter.count({
       where: {
@@ -904,10 +1126,18 @@ CoursesRoutes.post('/:courseId/progress', authMiddleware, async (req, res) => {
         : 0
     };
 
-    successResponse(res, progressData, 'Progress updated successfully');
+    const certificate = isCompleted
+      ? await issueCertificateIfCompleted({ userId, courseId })
+      : null;
+
+    successResponse(
+      res,
+      { ...progressData, certificate_code: certificate?.code ?? null },
+      'Progress updated successfully'
+    );
   } catch (error) {
     console.error('Error updating progress:', error);
-    errorResponse(res, 'Failed to update progress', 500, error);
+    errorResponse(res, error.statusCode ? error.message : 'Failed to update progress', error.statusCode || 500, error);
   }
 });
 
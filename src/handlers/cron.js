@@ -0,0 +1,87 @@
+import { Router } from 'express';
+import { successResponse, errorResponse } from '../utils/apiResponses.js';
+import { cronMiddleware } from '../utils/utils.js';
+import { reassignStaleReviews } from '../utils/mentorAssignment.js';
+import { notifyUnlockedChapters } from '../utils/chapters.js';
+import { publishScheduledCourses } from '../utils/courseStatus.js';
+import { processOutbox } from '../email/index.js';
+import { expirePendingOrders } from '../payments/index.js';
+import { expireEnrollments } from '../utils/enrollments.js';
+
+const CronRoutes = Router();
+
+CronRoutes.use(cronMiddleware);
+
+// Reassign submissions stuck in REVIEWING
+CronRoutes.get('/reassign-stale-submissions', async (req, res) => {
+  try {
+    const reassigned = await reassignStaleReviews();
+
+    successResponse(res, reassigned, `${reassigned.length} submission(s) reassigned`);
+  } catch (error) {
+    console.error('Stale submission reassignment error:', error);
+    errorResponse(res, 'Failed to reassign stale submissions', 500, error);
+  }
+});
+
+// Email learners about chapters released since the last run
+CronRoutes.get('/notify-unlocked-chapters', async (req, res) => {
+  try {
+    const notified = await notifyUnlockedChapters();
+
+    successResponse(res, notified, `${notified.length} unlock notification(s) sent`);
+  } catch (error) {
+    console.error('Chapter unlock notification error:', error);
+    errorResponse(res, 'Failed to notify unlocked chapters', 500, error);
+  }
+});
+
+// Publish courses whose scheduled publication time has passed
+CronRoutes.get('/publish-scheduled-courses', async (req, res) => {
+  try {
+    const published = await publishScheduledCourses();
+
+    successResponse(res, published, `${published.length} course(s) published`);
+  } catch (error) {
+    console.error('Scheduled course publication error:', error);
+    errorResponse(res, 'Failed to publish scheduled courses', 500, error);
+  }
+});
+
+// Deliver queued emails and retry failed sends whose backoff has elapsed
+CronRoutes.get('/process-email-outbox', async (req, res) => {
+  try {
+    const processed = await processOutbox();
+
+    successResponse(res, processed, `${processed.length} email(s) processed`);
+  } catch (error) {
+    console.error('Email outbox processing error:', error);
+    errorResponse(res, 'Failed to process email outbox', 500, error);
+  }
+});
+
+// Fail orders left pending too long, releasing the coupon uses they reserved
+CronRoutes.get('/expire-pending-orders', async (req, res) => {
+  try {
+    const expired = await expirePendingOrders();
+
+    successResponse(res, { expired }, `${expired} order(s) expired`);
+  } catch (error) {
+    console.error('Pending order expiry error:', error);
+    errorResponse(res, 'Failed to expire pending orders', 500, error);
+  }
+});
+
+// Mark enrollments past their expiry date as EXPIRED and update the course counters
+CronRoutes.get('/expire-enrollments', async (req, res) => {
+  try {
+    const expired = await expireEnrollments();
+
+    successResponse(res, { expired }, `${expired} enrollment(s) expired`);
+  } catch (error) {
+    console.error('Enrollment expiry error:', error);
+    errorResponse(res, 'Failed to expire enrollments', 500, error);
+  }
+});
+
+export default CronRoutes;
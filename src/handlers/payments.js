@@ -0,0 +1,128 @@
+import { Router } from 'express';
+import { PrismaClient } from '@prisma/client';
+import { config } from 'dotenv';
+import crypto from 'crypto';
+import { successResponse, errorResponse } from '../utils/apiResponses.js';
+import { authMiddleware, verifiedEmailMiddleware } from '../utils/utils.js';
+import { hasActiveEnrollment } from '../utils/enrollments.js';
+import { isCoursePublished } from '../utils/courseStatus.js';
+import { createCheckout, getPaymentProvider, handlePaymentEvent, isPaidCourse, quoteCourse } from '../payments/index.js';
+import { validate } from '../middleware/validate.js';
+import { checkoutSchema, quoteSchema, webhookSchema, fakeOutcomeSchema } from '../validators/payments.js';
+
+config();
+
+const prisma = new PrismaClient();
+const PaymentRoutes = Router();
+
+// Get the price of a paid course, with an optional coupon code applied
+PaymentRoutes.get('/quote/:courseId', authMiddleware, validate(quoteSchema), async (req, res) => {
+  try {
+    const course = await prisma.course.findUnique({ where: { id: req.params.courseId } });
+
+    if (!course || !isPaidCourse(course)) {
+      return errorResponse(res, 'Paid course not found', 404);
+    }
+
+    const { coupon, ...quote } = await quoteCourse({
+      user: { id: req.userId },
+      course,
+      couponCode: req.query.coupon_code
+    });
+
+    successResponse(res, { ...quote, coupon_code: coupon?.code ?? null }, 'Price retrieved successfully');
+  } catch (error) {
+    errorResponse(res, error.statusCode ? error.message : 'Failed to retrieve price', error.statusCode || 500, error);
+  }
+});
+
+// Create a checkout for a paid course
+PaymentRoutes.post('/checkout/:courseId', authMiddleware, verifiedEmailMiddleware, validate(checkoutSchema), async (req, res) => {
+  const { courseId } = req.params;
+
+  try {
+    const [course, user] = await Promise.all([
+      prisma.course.findUnique({ where: { id: courseId } }),
+      prisma.user.findUnique({ where: { id: req.userId } })
+    ]);
+
+    if (!course) {
+      return errorResponse(res, 'Course not found', 404);
+    }
+
+    if (!isCoursePublished(course)) {
+      return errorResponse(res, 'This course is not open for enrollment', 403);
+    }
+
+    if (!isPaidCourse(course)) {
+      return errorResponse(res, 'This course is free, enroll directly', 400);
+    }
+
+    if (await hasActiveEnrollment(req.userId, courseId)) {
+      return errorResponse(res, 'User already enrolled in this course', 409);
+    }
+
+    const { order, checkoutUrl } = await createCheckout({ user, course, couponCode: req.body.coupon_code });
+
+    successResponse(res, { order, checkoutUrl }, 'Checkout created successfully', 201);
+  } catch (error) {
+    console.error('Checkout error:', error);
+    errorResponse(res, error.statusCode ? error.message : 'Failed to create checkout', error.statusCode || 500, error);
+  }
+});
+
+// Get the current user's orders
+PaymentRoutes.get('/orders', authMiddleware, async (req, res) => {
+  try {
+    const orders = await prisma.order.findMany({
+      where: { user_id: req.userId },
+      include: {
+        course: {
+          select: { id: true, title: true }
+        }
+      },
+      orderBy: { created_at: 'desc' }
+    });
+
+    successResponse(res, orders, 'Orders retrieved successfully');
+  } catch (error) {
+    errorResponse(res, 'Failed to retrieve orders', 500, error);
+  }
+});
+
+// Payment provider webhook (signature checked by the provider adapter)
+PaymentRoutes.post('/webhook/:provider', validate(webhookSchema), async (req, res) => {
+  try {
+    const provider = getPaymentProvider(req.params.provider);
+    const event = provider.verifyWebhook(req);
+    const { duplicate, order } = await handlePaymentEvent(provider.name, event);
+
+    successResponse(res, { order_id: order?.id ?? null, duplicate }, 'Webhook processed successfully');
+  } catch (error) {
+    console.error('Payment webhook error:', error);
+    errorResponse(res, error.statusCode ? error.message : 'Failed to process webhook', error.statusCode || 500);
+  }
+});
+
+// Simulate the fake provider's payment outcome (only with ENABLE_FAKE_PAYMENT_SIMULATION=true)
+if (process.env.ENABLE_FAKE_PAYMENT_SIMULATION === 'true') {
+  PaymentRoutes.post('/fake/:reference/:outcome', validate(fakeOutcomeSchema), async (req, res) => {
+    const { reference, outcome } = req.params;
+
+    try {
+      const provider = getPaymentProvider('fake');
+      const { order } = await handlePaymentEvent(provider.name, {
+        id: `evt_${crypto.randomBytes(8).toString('hex')}`,
+        type: `payment.${outcome}`,
+        reference,
+        payload: { reference, outcome, simulated: true }
+      });
+
+      successResponse(res, order, `Payment ${outcome} simulated successfully`);
+    } catch (error) {
+      errorResponse(res, error.statusCode ? error.message : 'Failed to simulate payment', error.statusCode || 500);
+    }
+  });
+}
+
+export default PaymentRoutes;
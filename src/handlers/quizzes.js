@@ -0,0 +1,188 @@
+import { Router } from 'express';
+import { PrismaClient } from '@prisma/client';
+import { config } from 'dotenv';
+import { successResponse, errorResponse } from '../utils/apiResponses.js';
+import { authMiddleware, AdminMiddleware } from '../utils/utils.js';
+import { hasActiveEnrollment } from '../utils/enrollments.js';
+import { assertChapterUnlocked } from '../utils/chapters.js';
+import {
+  quizInclude,
+  findChapterQuiz,
+  toLearnerQuiz,
+  getAttemptSummary,
+  submitQuizAttempt
+} from '../utils/quizzes.js';
+import { validate } from '../middleware/validate.js';
+import { quizParams, upsertQuizSchema, submitAttemptSchema } from '../validators/quizzes.js';
+
+config();
+
+const prisma = new PrismaClient();
+
+// Monté sous /courses/:courseId/chapters/:chapterId/quiz
+const QuizRoutes = Router({ mergeParams: true });
+
+const findChapter = (courseId, chapterId) => {
+  return prisma.chapter.findFirst({
+    where: { id: chapterId, course_id: courseId },
+    include: { course: true }
+  });
+};
+
+// Get a chapter quiz (correct answers are only returned to admins)
+QuizRoutes.get('/', authMiddleware, validate(quizParams), async (req, res) => {
+  const { courseId, chapterId } = req.params;
+
+  try {
+    const chapter = await findChapter(courseId, chapterId);
+    const quiz = chapter && await findChapterQuiz(chapterId);
+
+    if (!quiz) {
+      return errorResponse(res, 'Quiz not found', 404);
+    }
+
+    if (req.auth.role === 'ADMIN') {
+      return successResponse(res, quiz, 'Quiz retrieved successfully');
+    }
+
+    if (!(await hasActiveEnrollment(req.userId, courseId))) {
+      return errorResponse(res, 'You are not enrolled in this course', 403);
+    }
+
+    await assertChapterUnlocked({ auth: req.auth, course: chapter.course, chapter });
+
+    const summary = await getAttemptSummary(quiz, req.userId);
+
+    successResponse(res, { ...toLearnerQuiz(quiz), ...summary }, 'Quiz retrieved successfully');
+  } catch (error) {
+    errorResponse(res, error.statusCode ? error.message : 'Failed to retrieve quiz', error.statusCode || 500, error);
+  }
+});
+
+// Create or replace a chapter quiz
+QuizRoutes.put('/', authMiddleware, AdminMiddleware, validate(upsertQuizSchema), async (req, res) => {
+  const { courseId, chapterId } = req.params;
+  const { title, pass_mark, max_attempts, questions } = req.body;
+
+  try {
+    if (!(await findChapter(courseId, chapterId))) {
+      return errorResponse(res, 'Chapter not found', 404);
+    }
+
+    // Les questions sont remplacées en bloc ; les tentatives passées gardent leurs réponses
+    const quiz = await prisma.$transaction(async (tx) => {
+      const saved = await tx.quiz.upsert({
+        where: { chapter_id: chapterId },
+        create: { chapter_id: chapterId, title, pass_mark, max_attempts },
+        update: { title, pass_mark, max_attempts }
+      });
+
+      await tx.quizQuestion.deleteMany({ where: { quiz_id: saved.id } });
+
+      for (const [position, question] of questions.entries()) {
+        await tx.quizQuestion.create({
+          data: {
+            quiz_id: saved.id,
+            type: question.type,
+            prompt: question.prompt,
+            points: question.points,
+            position,
+            accepted_answers: question.type === 'SHORT_ANSWER' ? question.accepted_answers : [],
+            options: question.type === 'MULTIPLE_CHOICE'
+              ? { create: question.options.map((option, index) => ({ ...option, position: index })) }
+              : undefined
+          }
+        });
+      }
+
+      return tx.quiz.findUnique({ where: { id: saved.id }, include: quizInclude });
+    });
+
+    successResponse(res, quiz, 'Quiz saved successfully');
+  } catch (error) {
+    errorResponse(res, 'Failed to save quiz', 500, error);
+  }
+});
+
+// Delete a chapter quiz
+QuizRoutes.delete('/', authMiddleware, AdminMiddleware, validate(quizParams), async (req, res) => {
+  const { courseId, chapterId } = req.params;
+
+  try {
+    if (!(await findChapter(courseId, chapterId))) {
+      return errorResponse(res, 'Chapter not found', 404);
+    }
+
+    const deleted = await prisma.quiz.deleteMany({ where: { chapter_id: chapterId } });
+
+    if (deleted.count === 0) {
+      return errorResponse(res, 'Quiz not found', 404);
+    }
+
+    successResponse(res, null, 'Quiz deleted successfully');
+  } catch (error) {
+    errorResponse(res, 'Failed to delete quiz', 500, error);
+  }
+});
+
+// Submit a quiz attempt, graded by the server
+QuizRoutes.post('/attempts', authMiddleware, validate(submitAttemptSchema), async (req, res) => {
+  const { courseId, chapterId } = req.params;
+
+  try {
+    const chapter = await findChapter(courseId, chapterId);
+    const quiz = chapter && await findChapterQuiz(chapterId);
+
+    if (!quiz) {
+      return errorResponse(res, 'Quiz not found', 404);
+    }
+
+    if (!(await hasActiveEnrollment(req.userId, courseId))) {
+      return errorResponse(res, 'You are not enrolled in this course', 403);
+    }
+
+    await assertChapterUnlocked({ auth: req.auth, course: chapter.course, chapter });
+
+    const attempt = await submitQuizAttempt({
+      quiz,
+      userId: req.userId,
+      courseId,
+      answers: req.body.answers
+    });
+
+    const summary = await getAttemptSummary(quiz, req.userId);
+
+    successResponse(res, {
+      id: attempt.id,
+      score: attempt.score,
+      passed: attempt.passed,
+      pass_mark: quiz.pass_mark,
+      results: attempt.results,
+      attempts_remaining: summary.attempts_remaining
+    }, attempt.passed ? 'Quiz passed, chapter completed' : 'Quiz not passed', 201);
+  } catch (error) {
+    errorResponse(res, error.statusCode ? error.message : 'Failed to submit quiz attempt', error.statusCode || 500, error);
+  }
+});
+
+// Get the current user's attempts
+QuizRoutes.get('/attempts', authMiddleware, validate(quizParams), async (req, res) => {
+  const { courseId, chapterId } = req.params;
+
+  try {
+    const chapter = await findChapter(courseId, chapterId);
+    const quiz = chapter && await findChapterQuiz(chapterId);
+
+    if (!quiz) {
+      return errorResponse(res, 'Quiz not found', 404);
+    }
+
+    const summary = await getAttemptSummary(quiz, req.userId);
+
+    successResponse(res, summary, 'Quiz attempts retrieved successfully');
+  } catch (error) {
+    errorResponse(res, 'Failed to retrieve quiz attempts', 500, error);
+  }
+});
+
+export default QuizRoutes;
@@ -2,63 +2,78 @@
 import express, { Router } from 'express';
 import { PrismaClient } from '@prisma/client';
 import { successResponse, errorResponse } from '../utils/apiResponses.js';
-import jwt from 'jsonwebtoken';
-import { SendEmail } from '../utils/utils.js';
+import { SendEmail, optionalAuthMiddleware } from '../utils/utils.js';
 import { generateSurveyEmailHTML } from '../utils/mailHTML.js';
+import { recommendCourses } from '../utils/recommendations.js';
+import {
+  findActiveSurveyForm,
+  answersFromLegacyFields,
+  submitSurveyResponse,
+  formatSurveyAnswers
+} from '../utils/surveyForms.js';
+import { validate } from '../middleware/validate.js';
+import { submitSurveySchema } from '../validators/survey.js';
 
 const prisma = new PrismaClient();
 const SurveyRoutes = Router();
 
+// Get the active survey with its questions
+SurveyRoutes.get('/form', async (req, res) => {
+  try {
+    const form = await findActiveSurveyForm();
+
+    if (!form) {
+      return errorResponse(res, 'No active survey', 404);
+    }
+
+    successResponse(res, form, 'Survey retrieved successfully');
+  } catch (error) {
+    errorResponse(res, 'Failed to retrieve survey', 500, error);
+  }
+});
+
 // Submit survey response
-SurveyRoutes.post('/submit', async (req, res) => {
-  const { 
-    email,
-    learning_goal,
-    motivation,
-    skill_level,
-    usage_goal,
-    value_range 
-  } = req.body;
+SurveyRoutes.post('/submit', optionalAuthMiddleware, validate(submitSurveySchema), async (req, res) => {
+  const { email, answers } = req.body;
 
   try {
-    // Récupérer l'ID utilisateur s'il existe dans le token
-    const userId = req.headers.authorization ? 
-      jwt.verify(req.headers.authorization.split(' ')[1], process.env.JWT_SECRET)?.id :
-      null;
+    // Utilisateur de la session en cours, si la requête est authentifiée
+    const userId = req.userId ?? null;
+    const user = userId ? await prisma.user.findUnique({ where: { id: userId }, select: { email: true } }) : null;
+
+    if (userId && !user) {
+      return errorResponse(res, 'User not found', 401);
+    }
 
     // Vérifier si l'email est fourni pour les utilisateurs non connectés
-    if (!userId && !email) {
+    if (!user && !email) {
       return errorResponse(res, 'Email is required for non-authenticated users', 400);
     }
 
-    // Créer la réponse au sondage
-    const survey = await prisma.survey.create({
-      data: {
-        email: email || (await prisma.user.findUnique({ where: { id: userId } })).email,
-        user_id: userId,
-        learning_goal,
-        motivation,
-        skill_level,
-        usage_goal,
-        value_range
-      }
+    const form = await findActiveSurveyForm();
+
+    if (!form) {
+      return errorResponse(res, 'No active survey', 404);
+    }
+
+    // Créer la réponse au sondage, validée contre le questionnaire actif
+    const survey = await submitSurveyResponse({
+      form,
+      email: email || user.email,
+      userId,
+      answers: answers ?? answersFromLegacyFields(form, req.body)
     });
 
     // Récupérer les recommandations de cours basées sur les réponses
-    const recommendations = await getCourseRecommendations({
-      learning_goal,
-      skill_level,
-      usage_goal
+    const recommendations = await recommendCourses({ survey, userId }).catch((error) => {
+      console.error('Error getting recommendations:', error);
+      return [];
     });
 
      // Générer et envoyer l'email de notification
      const emailHtml = generateSurveyEmailHTML({
         email: survey.email,
-        learning_goal,
-        motivation,
-        skill_level,
-        usage_goal,
-        value_range
+        answers: formatSurveyAnswers(survey)
       });
   
       await SendEmail({
@@ -68,50 +83,16 @@ SurveyRoutes.post('/submit', async (req, res) => {
         HTMLPart: emailHtml
       });
 
+    const { form: surveyForm, answers: surveyAnswers, ...details } = survey;
+
     successResponse(res, { 
-      survey,
+      survey: { ...details, answers: formatSurveyAnswers(survey) },
       recommendations 
     }, 'Survey submitted successfully');
   } catch (error) {
     console.error('Survey submission error:', error);
-    errorResponse(res, 'Failed to submit survey', 500, error);
+    errorResponse(res, error.statusCode ? error.message : 'Failed to submit survey', error.statusCode || 500, error.errors || error);
   }
 });
 
-// Fonction utilitaire pour obtenir des recommandations de cours
-async function getCourseRecommendations({ learning_goal, skill_level, usage_goal }) {
-  try {
-    const courses = await prisma.course.findMany({
-      where: {
-        OR: [
-          { title: { contains: learning_goal, mode: 'insensitive' } },
-          { description: { contains: learning_goal, mode: 'insensitive' } }
-        ]
-      },
-      include: {
-        category: true,
-        chapters: {
-          select: {
-            id: true
-          }
-        }
-      },
-      take: 3
-    });
-
-    return courses.map(course => ({
-      id: course.id,
-      title: course.title,
-      description: course.description,
-      category: course.category.name,
-      chaptersCount: course.chapters.length,
-      difficulty: course.difficulty || 'intermédiaire',
-      price: course.price
-    }));
-  } catch (error) {
-    console.error('Error getting recommendations:', error);
-    return [];
-  }
-}
-
 export default SurveyRoutes;
\ No newline at end of file
@@ -0,0 +1,34 @@
+import { errorResponse } from '../utils/apiResponses.js';
+
+const SOURCES = ['params', 'query', 'body'];
+
+// Valide req.params, req.query et req.body avec les schémas zod fournis.
+// Les valeurs converties (nombres, tableaux...) remplacent celles de la requête ;
+// en cas d'erreur, toutes les erreurs de champ sont renvoyées en une seule réponse 400.
+export const validate = (schemas) => (req, res, next) => {
+  const errors = [];
+
+  for (const source of SOURCES) {
+    if (!schemas[source]) {
+      continue;
+    }
+
+    const result = schemas[source].safeParse(req[source] ?? {});
+
+    if (result.success) {
+      req[source] = result.data;
+    } else {
+      errors.push(...result.error.issues.map(issue => ({
+        location: source,
+        field: issue.path.join('.'),
+        message: issue.message
+      })));
+    }
+  }
+
+  if (errors.length) {
+    return errorResponse(res, 'Validation failed', 400, errors);
+  }
+
+  next();
+};
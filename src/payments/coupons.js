@@ -0,0 +1,94 @@
+import { PrismaClient } from '@prisma/client';
+import { config } from 'dotenv';
+
+config();
+
+const prisma = new PrismaClient();
+
+const couponError = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+// Les codes sont comparés sans tenir compte de la casse ni des espaces
+export const normalizeCouponCode = (code) => code.trim().toUpperCase();
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+export const computeDiscount = (coupon, amount) => {
+  const discount = coupon.type === 'PERCENTAGE'
+    ? amount * Math.min(coupon.value, 100) / 100
+    : Math.min(coupon.value, amount);
+
+  return roundAmount(discount);
+};
+
+// Vérifie qu'un code est applicable à ce cours pour cet utilisateur et calcule le prix final.
+// Une commande réserve une utilisation dès sa création : les plafonds comptent les commandes payées
+// (utilisation enregistrée) et les commandes en attente. Une commande échouée ou expirée libère sa réservation.
+// Avec reserve, la ligne du code est verrouillée jusqu'à la fin de la transaction db de l'appelant,
+// pour que deux paiements simultanés ne dépassent pas le plafond.
+export const applyCoupon = async ({ code, userId, course, db = prisma, reserve = false }) => {
+  const coupon = await db.coupon.findUnique({
+    where: { code: normalizeCouponCode(code) }
+  });
+
+  if (!coupon || !coupon.is_active) {
+    throw couponError('Invalid coupon code', 404);
+  }
+
+  if (coupon.expires_at && coupon.expires_at <= new Date()) {
+    throw couponError('This coupon has expired', 400);
+  }
+
+  if (coupon.course_id && coupon.course_id !== course.id) {
+    throw couponError('This coupon does not apply to this course', 400);
+  }
+
+  if (reserve && (coupon.max_uses || coupon.max_uses_per_user)) {
+    await db.$queryRaw`SELECT id FROM "Coupon" WHERE id = ${coupon.id} FOR UPDATE`;
+  }
+
+  const usesWhere = {
+    coupon_id: coupon.id,
+    OR: [{ status: 'PENDING' }, { redemption: { isNot: null } }]
+  };
+
+  const [totalUses, userUses] = await Promise.all([
+    coupon.max_uses ? db.order.count({ where: usesWhere }) : 0,
+    coupon.max_uses_per_user ? db.order.count({ where: { ...usesWhere, user_id: userId } }) : 0
+  ]);
+
+  if (coupon.max_uses && totalUses >= coupon.max_uses) {
+    throw couponError('This coupon has reached its usage limit', 409);
+  }
+
+  if (coupon.max_uses_per_user && userUses >= coupon.max_uses_per_user) {
+    throw couponError('You have already used this coupon', 409);
+  }
+
+  const discountAmount = computeDiscount(coupon, course.price);
+
+  return {
+    coupon,
+    original_amount: course.price,
+    discount_amount: discountAmount,
+    final_amount: roundAmount(course.price - discountAmount)
+  };
+};
+
+// Enregistre l'utilisation du code d'une commande payée ; sans effet si elle l'est déjà.
+// skipDuplicates plutôt qu'un catch de P2002, qui annulerait la transaction de l'appelant.
+export const recordRedemption = async (order, db = prisma) => {
+  if (!order.coupon_id) {
+    return null;
+  }
+
+  return db.couponRedemption.createMany({
+    data: [{
+      coupon_id: order.coupon_id,
+      user_id: order.user_id,
+      order_id: order.id,
+      discount_amount: order.discount_amount,
+      final_amount: order.amount
+    }],
+    skipDuplicates: true
+  });
+};
@@ -0,0 +1,50 @@
+import crypto from 'crypto';
+import { config } from 'dotenv';
+
+config();
+
+// Fournisseur factice pour le développement et les tests : aucun appel réseau,
+// les webhooks sont signés en HMAC-SHA256 avec FAKE_PAYMENT_SECRET.
+// Il n'a pas de secret par défaut et n'est jamais disponible en production.
+const SIGNATURE_HEADER = 'x-fake-signature';
+
+export const signFakePayload = (rawBody) => {
+  return crypto.createHmac('sha256', process.env.FAKE_PAYMENT_SECRET).update(rawBody).digest('hex');
+};
+
+const fakeProvider = {
+  name: 'fake',
+
+  isAvailable() {
+    return process.env.NODE_ENV !== 'production' && Boolean(process.env.FAKE_PAYMENT_SECRET);
+  },
+
+  async createCheckout({ order }) {
+    const reference = `fake_${order.id}_${crypto.randomBytes(6).toString('hex')}`;
+
+    return {
+      reference,
+      checkoutUrl: `${process.env.REACT_APP_URL}/checkout/fake?reference=${reference}`
+    };
+  },
+
+  verifyWebhook(req) {
+    const signature = req.headers[SIGNATURE_HEADER];
+    const expected = signFakePayload(req.rawBody || '');
+
+    if (!signature || signature.length !== expected.length
+      || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+      throw Object.assign(new Error('Invalid webhook signature'), { statusCode: 400 });
+    }
+
+    const { id, type, reference } = req.body;
+    return { id, type, reference, payload: req.body };
+  },
+
+  // Le remboursement factice est immédiat
+  async refund({ order }) {
+    return { status: 'succeeded', reference: `refund_${order.provider_reference}` };
+  }
+};
+
+export default fakeProvider;
@@ -0,0 +1,278 @@
+import { PrismaClient } from '@prisma/client';
+import { config } from 'dotenv';
+import fakeProvider from './fakeProvider.js';
+import { enrollUser, revokeEnrollment, findEnrollment, isEnrollmentActive } from '../utils/enrollments.js';
+import { applyCoupon, recordRedemption, normalizeCouponCode } from './coupons.js';
+
+config();
+
+const prisma = new PrismaClient();
+
+// Un fournisseur de paiement implémente :
+//   name                                   identifiant utilisé dans Order.provider et l'URL du webhook
+//   isAvailable()                          -> false si le fournisseur n'est pas configuré (facultatif)
+//   createCheckout({ order, course, user }) -> { reference, checkoutUrl }
+//   verifyWebhook(req)                     -> { id, type, reference, payload }, lève une erreur si la signature est invalide
+//   refund({ order })                      -> { status: 'succeeded' | 'pending', reference }
+// Types d'événements attendus : payment.succeeded, payment.failed, refund.succeeded
+const providers = {
+  [fakeProvider.name]: fakeProvider
+};
+
+export const PAYMENT_CURRENCY = process.env.PAYMENT_CURRENCY || 'XOF';
+const ORDER_EXPIRY_HOURS = parseInt(process.env.ORDER_EXPIRY_HOURS) || 24;
+
+const paymentError = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+// Aucun fournisseur par défaut : PAYMENT_PROVIDER doit être défini pour vendre des cours
+export const getPaymentProvider = (name = process.env.PAYMENT_PROVIDER) => {
+  if (!name) {
+    throw paymentError('No payment provider is configured', 503);
+  }
+
+  const provider = providers[name];
+
+  if (!provider || provider.isAvailable?.() === false) {
+    throw paymentError(`Unknown payment provider: ${name}`, 404);
+  }
+
+  return provider;
+};
+
+export const isPaidCourse = (course) => Boolean(course.price && course.price > 0);
+
+// Prix à payer pour un cours, avec le code promo éventuel
+export const quoteCourse = async ({ user, course, couponCode }) => {
+  if (!couponCode) {
+    return { coupon: null, original_amount: course.price, discount_amount: 0, final_amount: course.price };
+  }
+
+  return applyCoupon({ code: couponCode, userId: user.id, course });
+};
+
+// Les transitions de commande s'exécutent dans la transaction tx de l'appelant :
+// statut, utilisation du code promo et inscription sont enregistrés ensemble ou pas du tout.
+// Un paiement confirmé après l'expiration de la commande (FAILED) est encaissé : il est traité comme à l'heure.
+// Si l'acheteur a déjà accès au cours (autre commande payée entre-temps), la commande est payée sans inscription
+// et renvoie { needsRefund: true } : l'appelant demande le remboursement une fois la transaction validée.
+const markOrderPaid = async (order, tx) => {
+  // Mise à jour conditionnelle : un webhook rejoué n'inscrit pas deux fois
+  const updated = await tx.order.updateMany({
+    where: { id: order.id, status: { in: ['PENDING', 'FAILED'] } },
+    data: { status: 'PAID', paid_at: new Date() }
+  });
+
+  if (updated.count === 0) {
+    return { needsRefund: false };
+  }
+
+  if (isEnrollmentActive(await findEnrollment(order.user_id, order.course_id, tx))) {
+    return { needsRefund: true };
+  }
+
+  await recordRedemption(order, tx);
+  await enrollUser({ userId: order.user_id, courseId: order.course_id, source: 'PURCHASE' }, tx);
+
+  return { needsRefund: false };
+};
+
+// Crée une commande en attente et la session de paiement chez le fournisseur.
+// Le code promo est vérifié et réservé dans la même transaction que la création de la commande.
+// Une seule commande en attente par utilisateur et par cours : la même est renvoyée tant qu'elle n'a pas abouti.
+// Une commande ramenée à 0 par un code promo est payée sans passer par le fournisseur.
+export const createCheckout = async ({ user, course, couponCode }) => {
+  const { order, provider, reused } = await prisma.$transaction(async (tx) => {
+    // Verrou sur l'utilisateur : deux paiements simultanés du même cours ne créent pas deux commandes
+    await tx.$queryRaw`SELECT id FROM "User" WHERE id = ${user.id}::int FOR UPDATE`;
+
+    const pending = await tx.order.findFirst({
+      where: { user_id: user.id, course_id: course.id, status: 'PENDING' }
+    });
+
+    if (pending) {
+      const sameCoupon = couponCode
+        ? pending.coupon_id !== null && (await tx.coupon.findUnique({ where: { id: pending.coupon_id } }))?.code === normalizeCouponCode(couponCode)
+        : pending.coupon_id === null;
+
+      if (!pending.checkout_url || !sameCoupon) {
+        throw paymentError('You already have a pending order for this course, complete it or wait until it expires', 409);
+      }
+
+      return { order: pending, provider: null, reused: true };
+    }
+
+    const quote = couponCode
+      ? await applyCoupon({ code: couponCode, userId: user.id, course, db: tx, reserve: true })
+      : await quoteCourse({ user, course });
+    const isFree = quote.final_amount <= 0;
+    const selected = isFree ? null : getPaymentProvider();
+
+    const created = await tx.order.create({
+      data: {
+        user_id: user.id,
+        course_id: course.id,
+        amount: quote.final_amount,
+        original_amount: quote.original_amount,
+        discount_amount: quote.discount_amount,
+        coupon_id: quote.coupon?.id ?? null,
+        currency: PAYMENT_CURRENCY,
+        provider: selected ? selected.name : 'coupon'
+      }
+    });
+
+    if (isFree) {
+      await markOrderPaid(created, tx);
+    }
+
+    return { order: created, provider: selected, reused: false };
+  });
+
+  if (reused) {
+    return { order, checkoutUrl: order.checkout_url };
+  }
+
+  if (!provider) {
+    return { order: await prisma.order.findUnique({ where: { id: order.id } }), checkoutUrl: null };
+  }
+
+  let session;
+  try {
+    session = await provider.createCheckout({ order, course, user });
+  } catch (error) {
+    // La commande ne pourra pas être payée : elle libère le code promo réservé
+    await prisma.$transaction(tx => markOrderFailed(order, tx));
+    throw error;
+  }
+
+  const updatedOrder = await prisma.order.update({
+    where: { id: order.id },
+    data: { provider_reference: session.reference, checkout_url: session.checkoutUrl }
+  });
+
+  return { order: updatedOrder, checkoutUrl: session.checkoutUrl };
+};
+
+const markOrderFailed = async (order, tx) => {
+  await tx.order.updateMany({
+    where: { id: order.id, status: 'PENDING' },
+    data: { status: 'FAILED' }
+  });
+};
+
+// Une commande restée en attente au-delà de ORDER_EXPIRY_HOURS n'aboutira plus :
+// elle passe en échec et libère le code promo qu'elle réservait.
+// Ce délai doit dépasser la durée de vie d'une session de paiement chez le fournisseur.
+export const expirePendingOrders = async () => {
+  const { count } = await prisma.order.updateMany({
+    where: { status: 'PENDING', created_at: { lt: new Date(Date.now() - ORDER_EXPIRY_HOURS * 60 * 60 * 1000) } },
+    data: { status: 'FAILED' }
+  });
+
+  return count;
+};
+
+// L'accès est retiré sauf si une autre commande payée du même cours le justifie encore
+// (remboursement d'un paiement en double)
+export const markOrderRefunded = async (order, tx) => {
+  const updated = await tx.order.updateMany({
+    where: { id: order.id, status: 'PAID' },
+    data: { status: 'REFUNDED', refunded_at: new Date() }
+  });
+
+  if (updated.count === 0) {
+    return;
+  }
+
+  const otherPaidOrders = await tx.order.count({
+    where: { user_id: order.user_id, course_id: order.course_id, status: 'PAID', id: { not: order.id } }
+  });
+
+  if (otherPaidOrders === 0) {
+    await revokeEnrollment(order.user_id, order.course_id, tx);
+  }
+};
+
+// Traite un événement webhook vérifié ; les événements déjà reçus sont ignorés.
+// L'événement est enregistré dans la même transaction que son traitement : si le traitement échoue,
+// rien n'est conservé et le fournisseur peut renvoyer l'événement.
+export const handlePaymentEvent = async (providerName, event) => {
+  const order = event.reference
+    ? await prisma.order.findUnique({
+      where: { provider_provider_reference: { provider: providerName, provider_reference: event.reference } }
+    })
+    : null;
+
+  if (!order) {
+    throw paymentError('Order not found for this payment reference', 404);
+  }
+
+  let needsRefund = false;
+
+  const duplicate = await prisma.$transaction(async (tx) => {
+    const recorded = await tx.paymentEvent.createMany({
+      data: [{
+        provider: providerName,
+        event_id: String(event.id),
+        type: event.type,
+        order_id: order.id,
+        payload: event.payload
+      }],
+      skipDuplicates: true
+    });
+
+    if (recorded.count === 0) {
+      return true;
+    }
+
+    switch (event.type) {
+      case 'payment.succeeded':
+        ({ needsRefund } = await markOrderPaid(order, tx));
+        break;
+      case 'payment.failed':
+        await markOrderFailed(order, tx);
+        break;
+      case 'refund.succeeded':
+        await markOrderRefunded(order, tx);
+        break;
+      default:
+        // Types inconnus : conservés dans PaymentEvent, sans effet
+        break;
+    }
+
+    return false;
+  });
+
+  // Paiement en double : il est remboursé. Un échec reste visible comme commande PAID dans /admin/orders
+  // et le remboursement peut être relancé depuis /admin/orders/:orderId/refund.
+  if (needsRefund) {
+    try {
+      await refundOrder({ ...order, status: 'PAID' });
+    } catch (error) {
+      console.error('Duplicate payment refund error:', error);
+    }
+  }
+
+  return { duplicate, order: duplicate ? order : await prisma.order.findUnique({ where: { id: order.id } }) };
+};
+
+// Demande le remboursement au fournisseur ; l'accès est retiré dès qu'il est confirmé
+export const refundOrder = async (order) => {
+  if (order.status !== 'PAID') {
+    throw paymentError('Only paid orders can be refunded', 409);
+  }
+
+  // Rien n'a été encaissé : on retire seulement l'accès
+  if (order.amount <= 0) {
+    await prisma.$transaction(tx => markOrderRefunded(order, tx));
+    return prisma.order.findUnique({ where: { id: order.id } });
+  }
+
+  const provider = getPaymentProvider(order.provider);
+  const result = await provider.refund({ order });
+
+  if (result.status === 'succeeded') {
+    await prisma.$transaction(tx => markOrderRefunded(order, tx));
+  }
+
+  return prisma.order.findUnique({ where: { id: order.id } });
+};
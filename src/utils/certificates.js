@@ -0,0 +1,128 @@
+import crypto from 'crypto';
+import PDFDocument from 'pdfkit';
+import { PrismaClient } from '@prisma/client';
+import { config } from 'dotenv';
+
+config();
+
+const prisma = new PrismaClient();
+
+// Code lisible et non devinable, ex. CERT-4F7A-09BC-D21E
+export const generateCertificateCode = () => {
+  const hex = crypto.randomBytes(6).toString('hex').toUpperCase();
+  return `CERT-${hex.slice(0, 4)}-${hex.slice(4, 8)}-${hex.slice(8, 12)}`;
+};
+
+export const isCertificateValid = (certificate) => Boolean(certificate) && !certificate.revoked_at;
+
+export const certificateVerifyUrl = (code) => `${process.env.REACT_APP_URL}/certificates/${code}`;
+
+// Le cours est terminé quand chacun de ses chapitres figure dans completed_chapters
+export const isCourseCompleted = async (userId, courseId, db = prisma) => {
+  const [chapters, progress] = await Promise.all([
+    db.chapter.findMany({ where: { course_id: courseId }, select: { id: true } }),
+    db.userProgress.findFirst({ where: { user_id: userId, course_id: courseId } })
+  ]);
+
+  if (!chapters.length || !progress) {
+    return false;
+  }
+
+  const completed = new Set(progress.completed_chapters || []);
+  return chapters.every(chapter => completed.has(chapter.id));
+};
+
+// Émet le certificat si le cours est terminé. Un certificat existant (même révoqué) est renvoyé tel quel :
+// la révocation n'est pas annulée par une nouvelle validation de chapitre.
+export const issueCertificateIfCompleted = async ({ userId, courseId }) => {
+  const existing = await prisma.certificate.findUnique({
+    where: { user_id_course_id: { user_id: userId, course_id: courseId } }
+  });
+
+  if (existing) {
+    return existing;
+  }
+
+  if (!(await isCourseCompleted(userId, courseId))) {
+    return null;
+  }
+
+  const [user, course] = await Promise.all([
+    prisma.user.findUnique({ where: { id: userId }, select: { full_name: true } }),
+    prisma.course.findUnique({ where: { id: courseId }, select: { title: true } })
+  ]);
+
+  for (let attempt = 0; attempt < 3; attempt++) {
+    try {
+      return await prisma.certificate.create({
+        data: {
+          code: generateCertificateCode(),
+          user_id: userId,
+          course_id: courseId,
+          full_name: user.full_name,
+          course_title: course.title
+        }
+      });
+    } catch (error) {
+      if (error.code !== 'P2002') {
+        throw error;
+      }
+
+      // Émission concurrente pour le même cours : on renvoie celle qui a gagné
+      const concurrent = await prisma.certificate.findUnique({
+        where: { user_id_course_id: { user_id: userId, course_id: courseId } }
+      });
+
+      if (concurrent) {
+        return concurrent;
+      }
+    }
+  }
+
+  throw new Error('Failed to generate a unique certificate code');
+};
+
+// Rendu PDF (A4 paysage) ; renvoie un Buffer
+export const renderCertificatePdf = (certificate) => {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 50 });
+    const chunks = [];
+
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const { width, height } = doc.page;
+    const issuedAt = certificate.issued_at.toLocaleDateString('fr-FR', { day: 'numeric', month: 'long', year: 'numeric' });
+
+    doc.lineWidth(4).strokeColor('#FF8C00').rect(25, 25, width - 50, height - 50).stroke();
+
+    doc.moveDown(3)
+      .font('Helvetica-Bold').fontSize(36).fillColor('#FF8C00')
+      .text('Certificat de réussite', { align: 'center' });
+
+    doc.moveDown(1.5)
+      .font('Helvetica').fontSize(16).fillColor('#333333')
+      .text('Ce certificat est décerné à', { align: 'center' });
+
+    doc.moveDown(0.5)
+      .font('Helvetica-Bold').fontSize(30).fillColor('#000000')
+      .text(certificate.full_name, { align: 'center' });
+
+    doc.moveDown(0.8)
+      .font('Helvetica').fontSize(16).fillColor('#333333')
+      .text('pour avoir terminé avec succès le cours', { align: 'center' });
+
+    doc.moveDown(0.5)
+      .font('Helvetica-Bold').fontSize(22).fillColor('#000000')
+      .text(certificate.course_title, { align: 'center' });
+
+    doc.moveDown(2)
+      .font('Helvetica').fontSize(12).fillColor('#333333')
+      .text(`Délivré le ${issuedAt}`, { align: 'center' })
+      .text(`Certificat n° ${certificate.code}`, { align: 'center' })
+      .text(`Vérification : ${certificateVerifyUrl(certificate.code)}`, { align: 'center' });
+
+    doc.end();
+  });
+};
@@ -0,0 +1,87 @@
+import { PrismaClient } from '@prisma/client';
+import { config } from 'dotenv';
+import { diffLines } from 'diff';
+import { refreshCourseSearch } from './courseSearch.js';
+
+config();
+
+const prisma = new PrismaClient();
+
+const revisionAuthorSelect = { id: true, full_name: true, email: true };
+
+// Enregistre l'état courant du chapitre comme nouvelle version.
+// `db` permet de l'appeler dans la transaction qui modifie le chapitre.
+export const recordChapterRevision = async (chapter, { authorId, restoredFromVersion = null }, db = prisma) => {
+  const last = await db.chapterRevision.aggregate({
+    where: { chapter_id: chapter.id },
+    _max: { version: true }
+  });
+
+  return db.chapterRevision.create({
+    data: {
+      chapter_id: chapter.id,
+      version: (last._max.version ?? 0) + 1,
+      title: chapter.title,
+      content: chapter.content,
+      author_id: authorId,
+      restored_from_version: restoredFromVersion
+    }
+  });
+};
+
+export const listChapterRevisions = (chapterId) => {
+  return prisma.chapterRevision.findMany({
+    where: { chapter_id: chapterId },
+    select: {
+      id: true,
+      version: true,
+      title: true,
+      restored_from_version: true,
+      created_at: true,
+      author: { select: revisionAuthorSelect }
+    },
+    orderBy: { version: 'desc' }
+  });
+};
+
+export const findChapterRevision = (chapterId, version) => {
+  return prisma.chapterRevision.findUnique({
+    where: { chapter_id_version: { chapter_id: chapterId, version } },
+    include: { author: { select: revisionAuthorSelect } }
+  });
+};
+
+// Différence ligne à ligne du contenu, et changement de titre éventuel
+export const diffChapterRevisions = (from, to) => ({
+  from: { version: from.version, created_at: from.created_at, author: from.author },
+  to: { version: to.version, created_at: to.created_at, author: to.author },
+  title: from.title === to.title ? null : { from: from.title, to: to.title },
+  changes: diffLines(from.content, to.content).map(part => ({
+    type: part.added ? 'added' : part.removed ? 'removed' : 'unchanged',
+    lines: part.count,
+    value: part.value
+  }))
+});
+
+// Restaure une version : le chapitre reprend son titre et son contenu, et la restauration
+// devient elle-même une nouvelle version (l'historique n'est jamais réécrit)
+export const restoreChapterRevision = async (chapter, revision, authorId) => {
+  const restored = await prisma.$transaction(async (tx) => {
+    const updated = await tx.chapter.update({
+      where: { id: chapter.id },
+      data: { title: revision.title, content: revision.content }
+    });
+
+    const newRevision = await recordChapterRevision(updated, {
+      authorId,
+      restoredFromVersion: revision.version
+    }, tx);
+
+    // Le titre du chapitre fait partie de l'index de recherche du cours
+    await refreshCourseSearch(chapter.course_id, tx);
+
+    return { chapter: updated, revision: newRevision };
+  });
+
+  return restored;
+};
@@ -0,0 +1,228 @@
+import { PrismaClient } from '@prisma/client';
+import { config } from 'dotenv';
+import { activeEnrollmentWhere, findEnrollment } from './enrollments.js';
+import { notifyChapterUnlocked } from './notifications.js';
+
+config();
+
+const prisma = new PrismaClient();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const UNLOCK_NOTIFICATION_LOOKBACK_HOURS = parseInt(process.env.UNLOCK_NOTIFICATION_LOOKBACK_HOURS) || 48;
+
+// Ordre unique des chapitres pour toutes les vues ; l'id départage d'éventuels ex aequo
+export const CHAPTER_ORDER = [{ position: 'asc' }, { id: 'asc' }];
+
+export const nextChapterPosition = async (courseId, db = prisma) => {
+  const last = await db.chapter.aggregate({
+    where: { course_id: courseId },
+    _max: { position: true }
+  });
+
+  return (last._max.position ?? 0) + 1;
+};
+
+// Réordonne tous les chapitres d'un cours : chapterIds doit les contenir chacun une fois
+export const reorderChapters = async (courseId, chapterIds) => {
+  return prisma.$transaction(async (tx) => {
+    const chapters = await tx.chapter.findMany({
+      where: { course_id: courseId },
+      select: { id: true }
+    });
+
+    const courseChapterIds = new Set(chapters.map(chapter => chapter.id));
+    const isPermutation = chapterIds.length === courseChapterIds.size
+      && new Set(chapterIds).size === chapterIds.length
+      && chapterIds.every(id => courseChapterIds.has(id));
+
+    if (!isPermutation) {
+      throw Object.assign(new Error('chapter_ids must list every chapter of the course exactly once'), { statusCode: 400 });
+    }
+
+    for (const [index, id] of chapterIds.entries()) {
+      await tx.chapter.update({ where: { id }, data: { position: index + 1 } });
+    }
+
+    return tx.chapter.findMany({
+      where: { course_id: courseId },
+      select: { id: true, title: true, position: true },
+      orderBy: CHAPTER_ORDER
+    });
+  });
+};
+
+export const hasReleaseRule = (chapter) => Boolean(chapter.release_at) || chapter.release_after_days !== null;
+
+// Date de déblocage pour une inscription donnée : date fixe, ou inscription + N jours.
+// Nulle si le chapitre n'a pas de règle, ou si la règle est relative et qu'il n'y a pas d'inscription.
+export const getChapterUnlockDate = (chapter, enrollment) => {
+  if (chapter.release_at) {
+    return chapter.release_at;
+  }
+
+  if (chapter.release_after_days !== null && enrollment) {
+    return new Date(enrollment.enrolled_at.getTime() + chapter.release_after_days * DAY_MS);
+  }
+
+  return null;
+};
+
+export const getChapterReleaseState = (chapter, enrollment, now = new Date()) => {
+  if (!hasReleaseRule(chapter)) {
+    return { locked: false, unlock_date: null };
+  }
+
+  const unlockDate = getChapterUnlockDate(chapter, enrollment);
+  return { locked: !unlockDate || unlockDate > now, unlock_date: unlockDate };
+};
+
+// Les mentors et administrateurs ne sont soumis ni aux dates de publication ni au mode séquentiel
+export const bypassesSequentialMode = (role) => role === 'ADMIN' || role === 'MENTOR';
+
+// Chapitres précédents non terminés ; vide si le cours n'est pas séquentiel
+export const getLockingChapters = async ({ userId, course, chapter }) => {
+  if (!course.sequential) {
+    return [];
+  }
+
+  const [previousChapters, progress] = await Promise.all([
+    prisma.chapter.findMany({
+      where: {
+        course_id: course.id,
+        OR: [
+          { position: { lt: chapter.position } },
+          { position: chapter.position, id: { lt: chapter.id } }
+        ]
+      },
+      select: { id: true, title: true, position: true },
+      orderBy: CHAPTER_ORDER
+    }),
+    prisma.userProgress.findFirst({
+      where: { user_id: userId, course_id: course.id }
+    })
+  ]);
+
+  const completed = new Set(progress?.completed_chapters || []);
+  return previousChapters.filter(previous => !completed.has(previous.id));
+};
+
+// Ids des chapitres verrouillés par le mode séquentiel, pour des chapitres déjà triés selon CHAPTER_ORDER :
+// tout chapitre qui suit un chapitre non terminé. Sans utilisateur, aucun chapitre n'est terminé.
+export const getSequentiallyLockedChapterIds = async ({ userId, course, chapters }) => {
+  if (!course.sequential) {
+    return new Set();
+  }
+
+  const progress = userId
+    ? await prisma.userProgress.findFirst({ where: { user_id: userId, course_id: course.id } })
+    : null;
+
+  const completed = new Set(progress?.completed_chapters || []);
+  const locked = new Set();
+  let blocked = false;
+
+  for (const chapter of chapters) {
+    if (blocked) {
+      locked.add(chapter.id);
+    } else if (!completed.has(chapter.id)) {
+      blocked = true;
+    }
+  }
+
+  return locked;
+};
+
+// Lève une erreur 403 si le chapitre n'est pas encore publié ou reste verrouillé pour cet utilisateur
+export const assertChapterUnlocked = async ({ auth, course, chapter }) => {
+  if (bypassesSequentialMode(auth.role)) {
+    return;
+  }
+
+  if (hasReleaseRule(chapter)) {
+    const enrollment = await findEnrollment(auth.userId, course.id);
+    const { locked, unlock_date } = getChapterReleaseState(chapter, enrollment);
+
+    if (locked) {
+      throw Object.assign(
+        new Error(unlock_date ? `This chapter unlocks on ${unlock_date.toISOString()}` : 'This chapter unlocks after you enroll'),
+        { statusCode: 403 }
+      );
+    }
+  }
+
+  const locking = await getLockingChapters({ userId: auth.userId, course, chapter });
+
+  if (locking.length) {
+    throw Object.assign(
+      new Error(`Complete the previous chapters first: ${locking.map(previous => previous.title).join(', ')}`),
+      { statusCode: 403 }
+    );
+  }
+};
+
+// Envoie l'email de déblocage aux apprenants inscrits dont le chapitre s'est ouvert récemment.
+// La fenêtre UNLOCK_NOTIFICATION_LOOKBACK_HOURS évite d'écrire pour des déblocages anciens ;
+// ChapterUnlockNotification garantit un seul email par apprenant et par chapitre.
+export const notifyUnlockedChapters = async (now = new Date()) => {
+  const since = new Date(now.getTime() - UNLOCK_NOTIFICATION_LOOKBACK_HOURS * 60 * 60 * 1000);
+
+  const chapters = await prisma.chapter.findMany({
+    where: {
+      OR: [
+        { release_at: { gt: since, lte: now } },
+        { release_at: null, release_after_days: { gt: 0 } }
+      ]
+    },
+    include: {
+      course: { select: { id: true, title: true } }
+    }
+  });
+
+  const notified = [];
+  for (const chapter of chapters) {
+    // Inscrits avant la date fixe, ou dont inscription + N jours tombe dans la fenêtre
+    const enrolledAt = chapter.release_at
+      ? { lt: chapter.release_at }
+      : {
+        gt: new Date(since.getTime() - chapter.release_after_days * DAY_MS),
+        lte: new Date(now.getTime() - chapter.release_after_days * DAY_MS)
+      };
+
+    const enrollments = await prisma.enrollment.findMany({
+      where: {
+        course_id: chapter.course_id,
+        enrolled_at: enrolledAt,
+        ...activeEnrollmentWhere(),
+        user: {
+          chapter_unlock_notifications: { none: { chapter_id: chapter.id } }
+        }
+      },
+      include: {
+        user: { select: { id: true, email: true, full_name: true } }
+      }
+    });
+
+    for (const enrollment of enrollments) {
+      try {
+        await prisma.chapterUnlockNotification.create({
+          data: {
+            user_id: enrollment.user_id,
+            chapter_id: chapter.id,
+            unlocked_at: getChapterUnlockDate(chapter, enrollment)
+          }
+        });
+      } catch (error) {
+        // Déjà traité par une exécution concurrente
+        if (error.code === 'P2002') {
+          continue;
+        }
+        throw error;
+      }
+
+      await notifyChapterUnlocked({ user: enrollment.user, chapter, course: chapter.course });
+      notified.push({ user_id: enrollment.user_id, chapter_id: chapter.id });
+    }
+  }
+
+  return notified;
+};
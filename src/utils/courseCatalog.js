@@ -0,0 +1,122 @@
+import { PrismaClient } from '@prisma/client';
+import { config } from 'dotenv';
+import { publishedCourseWhere } from './courseStatus.js';
+
+config();
+
+const prisma = new PrismaClient();
+
+// Durée en minutes tirée du libellé libre Course.duration ("2h30", "1,5 heures", "45 min", "3 hours 15 minutes").
+// Renvoie null si le libellé ne contient ni heures ni minutes : le cours est alors exclu des filtres de durée.
+// Même règle que le rattrapage SQL de la migration add_course_duration_minutes.
+export const parseDurationMinutes = (duration) => {
+  const text = duration?.toLowerCase() ?? '';
+  const hours = text.match(/(\d+(?:[.,]\d+)?)\s*(?:h|heure|hour|hr)/);
+  const minutes = text.match(/(\d+)\s*(?:min|mn)/) || text.match(/h\s*(\d{1,2})(?:\D|$)/);
+
+  if (!hours && !minutes) {
+    return null;
+  }
+
+  return Math.round(
+    (hours ? parseFloat(hours[1].replace(',', '.')) * 60 : 0)
+    + (minutes ? parseInt(minutes[1]) : 0)
+  );
+};
+
+// L'id départage les égalités : l'ordre est total, ce qui permet la pagination par curseur
+const CATALOG_ORDER = {
+  newest: [{ created_at: 'desc' }, { id: 'desc' }],
+  popularity: [{ enrolled_count: 'desc' }, { id: 'desc' }],
+  price_asc: [{ price: { sort: 'asc', nulls: 'first' } }, { id: 'asc' }],
+  price_desc: [{ price: { sort: 'desc', nulls: 'last' } }, { id: 'desc' }]
+};
+
+// Un cours sans prix est gratuit : il compte pour 0 dans le filtre de prix
+const priceWhere = (minPrice, maxPrice) => {
+  const where = [];
+
+  if (minPrice !== undefined && minPrice > 0) {
+    where.push({ price: { gte: minPrice } });
+  }
+
+  if (maxPrice !== undefined) {
+    where.push(minPrice ? { price: { lte: maxPrice } } : { OR: [{ price: null }, { price: { lte: maxPrice } }] });
+  }
+
+  return where;
+};
+
+const durationWhere = (minDuration, maxDuration) => {
+  if (minDuration === undefined && maxDuration === undefined) {
+    return [];
+  }
+
+  return [{ duration_minutes: { gte: minDuration, lte: maxDuration } }];
+};
+
+// Catalogue des cours publiés : champs de résumé seulement, jamais le contenu des chapitres.
+// Pagination par page, ou par curseur (id du dernier cours reçu, renvoyé dans nextCursor).
+export const listCatalogCourses = async ({
+  page, limit, cursor, sort = 'newest', min_price, max_price, min_duration, max_duration
+}) => {
+  const where = {
+    AND: [
+      publishedCourseWhere(),
+      ...priceWhere(min_price, max_price),
+      ...durationWhere(min_duration, max_duration)
+    ]
+  };
+
+  const [rows, total] = await Promise.all([
+    prisma.course.findMany({
+      where,
+      select: {
+        id: true,
+        title: true,
+        description: true,
+        price: true,
+        duration: true,
+        duration_minutes: true,
+        cover_image_url: true,
+        enrolled_count: true,
+        sequential: true,
+        created_at: true,
+        category: {
+          select: { id: true, name: true }
+        },
+        course_tags: {
+          select: {
+            tag: {
+              select: { id: true, name: true }
+            }
+          }
+        },
+        _count: {
+          select: { chapters: true }
+        }
+      },
+      orderBy: CATALOG_ORDER[sort],
+      ...(cursor ? { cursor: { id: cursor }, skip: 1 } : { skip: (page - 1) * limit }),
+      // Un cours de plus pour savoir s'il reste une page
+      take: limit + 1
+    }),
+    prisma.course.count({ where })
+  ]);
+
+  const hasMore = rows.length > limit;
+  const courses = rows.slice(0, limit).map(({ course_tags, _count, ...course }) => ({
+    ...course,
+    tags: course_tags.map(ct => ct.tag),
+    chapter_count: _count.chapters
+  }));
+
+  return {
+    courses,
+    total,
+    totalPages: Math.ceil(total / limit),
+    currentPage: cursor ? null : page,
+    nextCursor: hasMore ? courses[courses.length - 1].id : null,
+    sort
+  };
+};
@@ -0,0 +1,149 @@
+import { Prisma, PrismaClient } from '@prisma/client';
+import { config } from 'dotenv';
+
+config();
+
+const prisma = new PrismaClient();
+
+// Recalcule l'index de recherche d'un cours (fonction SQL créée par la migration add_course_search).
+// À appeler après toute modification du titre, de la description, de la catégorie, des tags ou des titres de chapitres.
+export const refreshCourseSearch = (courseId, db = prisma) => {
+  return db.$executeRaw`SELECT refresh_course_search(${courseId}::int)`;
+};
+
+// Variante pour les routes qui ont déjà validé leurs modifications : un échec de l'index est journalisé
+// sans faire échouer la requête, et le cours est réindexé à sa prochaine modification.
+export const tryRefreshCourseSearch = async (courseId) => {
+  try {
+    await refreshCourseSearch(courseId);
+  } catch (error) {
+    console.error('Course search refresh error:', error);
+  }
+};
+
+// Tri, pagination et facettes sont calculés en SQL : seule la page demandée est chargée.
+// L'id départage les ex aequo pour que la pagination reste stable.
+const ORDER_BY = {
+  relevance: Prisma.sql`rank DESC, c."created_at" DESC, c."id" DESC`,
+  newest: Prisma.sql`c."created_at" DESC, c."id" DESC`,
+  popularity: Prisma.sql`c."enrolled_count" DESC, rank DESC, c."id" DESC`,
+  price_asc: Prisma.sql`COALESCE(c."price", 0) ASC, rank DESC, c."id" DESC`,
+  price_desc: Prisma.sql`COALESCE(c."price", 0) DESC, rank DESC, c."id" DESC`
+};
+
+// Cours publiés correspondant à la requête, restreints par `filters`. Sans texte, tous les cours publiés (score 0).
+// Le score combine le rang plein texte (pondéré titre > catégorie/tags > chapitres/description)
+// et la similarité trigramme, qui rattrape les fautes de frappe.
+const matchingCourses = (text, filters) => {
+  const published = Prisma.sql`(c."status" = 'PUBLISHED' OR (c."status" = 'SCHEDULED' AND c."publish_at" <= ${new Date()}))`;
+
+  if (!text) {
+    return Prisma.sql`"Course" AS c WHERE ${published} ${filters}`;
+  }
+
+  return Prisma.sql`
+    "Course" AS c
+    JOIN "CourseSearch" AS s ON s."course_id" = c."id"
+    CROSS JOIN (
+      SELECT websearch_to_tsquery('french', unaccent(${text})) AS tsq, lower(unaccent(${text})) AS raw
+    ) AS q
+    WHERE ${published}
+      AND (s."vector" @@ q.tsq OR q.raw <% s."document")
+      ${filters}
+  `;
+};
+
+const rankOf = (text) => text
+  ? Prisma.sql`(ts_rank_cd(s."vector", q.tsq) + word_similarity(q.raw, s."document"))::float8`
+  : Prisma.sql`0::float8`;
+
+const categoryFilter = (category) => category ? Prisma.sql`AND c."category_id" = ${category}` : Prisma.empty;
+
+const tagFilter = (tags) => tags?.length
+  ? Prisma.sql`AND EXISTS (
+      SELECT 1 FROM "CourseTag" AS ct WHERE ct."course_id" = c."id" AND ct."tag_id" IN (${Prisma.join(tags)})
+    )`
+  : Prisma.empty;
+
+// Chaque facette ignore son propre filtre : les autres catégories (ou tags) restent proposées avec leur total
+const buildFacets = async (text, { category, tags }) => {
+  const [categoryCounts, tagCounts] = await Promise.all([
+    prisma.$queryRaw`
+      SELECT c."category_id" AS id, COUNT(*)::int AS count
+      FROM ${matchingCourses(text, Prisma.sql`AND c."category_id" IS NOT NULL ${tagFilter(tags)}`)}
+      GROUP BY c."category_id"
+    `,
+    prisma.$queryRaw`
+      SELECT ct."tag_id" AS id, COUNT(*)::int AS count
+      FROM "CourseTag" AS ct
+      WHERE ct."course_id" IN (SELECT c."id" FROM ${matchingCourses(text, categoryFilter(category))})
+      GROUP BY ct."tag_id"
+    `
+  ]);
+
+  const [categories, tagRows] = await Promise.all([
+    prisma.category.findMany({ where: { id: { in: categoryCounts.map(row => row.id) } }, select: { id: true, name: true } }),
+    prisma.tag.findMany({ where: { id: { in: tagCounts.map(row => row.id) } }, select: { id: true, name: true } })
+  ]);
+
+  const countOf = (rows) => new Map(rows.map(row => [row.id, row.count]));
+  const categoryCountById = countOf(categoryCounts);
+  const tagCountById = countOf(tagCounts);
+  const byCount = (a, b) => b.count - a.count || a.name.localeCompare(b.name);
+
+  return {
+    categories: categories.map(item => ({ ...item, count: categoryCountById.get(item.id) })).sort(byCount),
+    tags: tagRows.map(item => ({ ...item, count: tagCountById.get(item.id) })).sort(byCount)
+  };
+};
+
+export const searchCourses = async ({ query, category, tags, sort, page, limit }) => {
+  const text = query?.trim() || '';
+  const sortKey = sort || (text ? 'relevance' : 'newest');
+  const filters = Prisma.sql`${categoryFilter(category)} ${tagFilter(tags)}`;
+
+  const [pageRows, [{ total }], facets] = await Promise.all([
+    prisma.$queryRaw`
+      SELECT c."id", ${rankOf(text)} AS rank
+      FROM ${matchingCourses(text, filters)}
+      ORDER BY ${ORDER_BY[sortKey]}
+      LIMIT ${limit} OFFSET ${(page - 1) * limit}
+    `,
+    prisma.$queryRaw`SELECT COUNT(*)::int AS total FROM ${matchingCourses(text, filters)}`,
+    buildFacets(text, { category, tags })
+  ]);
+
+  const courses = await prisma.course.findMany({
+    where: { id: { in: pageRows.map(row => row.id) } },
+    include: {
+      category: true,
+      course_tags: {
+        include: {
+          tag: true
+        }
+      },
+      _count: {
+        select: { chapters: true }
+      }
+    }
+  });
+
+  const coursesById = new Map(courses.map(course => [course.id, course]));
+
+  return {
+    courses: pageRows.map(row => {
+      const { _count, course_tags, ...course } = coursesById.get(row.id);
+      return {
+        ...course,
+        tags: course_tags.map(ct => ct.tag),
+        chapter_count: _count.chapters,
+        rank: row.rank
+      };
+    }),
+    total,
+    totalPages: Math.ceil(total / limit),
+    currentPage: page,
+    sort: sortKey,
+    facets
+  };
+};
@@ -0,0 +1,99 @@
+import { PrismaClient } from '@prisma/client';
+import { config } from 'dotenv';
+import { hasActiveEnrollment } from './enrollments.js';
+
+config();
+
+const prisma = new PrismaClient();
+
+const courseStatusError = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+// Cours visibles au catalogue ; une publication programmée échue compte déjà comme publiée,
+// sans attendre le passage du cron
+export const publishedCourseWhere = (now = new Date()) => ({
+  OR: [
+    { status: 'PUBLISHED' },
+    { status: 'SCHEDULED', publish_at: { lte: now } }
+  ]
+});
+
+export const isCoursePublished = (course, now = new Date()) => {
+  return course.status === 'PUBLISHED'
+    || (course.status === 'SCHEDULED' && Boolean(course.publish_at) && course.publish_at <= now);
+};
+
+// Accès en lecture : cours publié, équipe pédagogique, ou inscrit à un cours archivé
+export const canReadCourse = async (course, auth) => {
+  if (isCoursePublished(course)) {
+    return true;
+  }
+
+  if (!auth) {
+    return false;
+  }
+
+  if (auth.role === 'ADMIN' || auth.role === 'MENTOR') {
+    return true;
+  }
+
+  return course.status === 'ARCHIVED' && hasActiveEnrollment(auth.userId, course.id);
+};
+
+// Publie tout de suite, ou programme la publication si publishAt est dans le futur
+export const publishCourse = async (course, publishAt = null) => {
+  if (publishAt && publishAt > new Date()) {
+    return prisma.course.update({
+      where: { id: course.id },
+      data: { status: 'SCHEDULED', publish_at: publishAt, archived_at: null }
+    });
+  }
+
+  if (course.status === 'PUBLISHED') {
+    throw courseStatusError('Course is already published', 409);
+  }
+
+  return prisma.course.update({
+    where: { id: course.id },
+    data: { status: 'PUBLISHED', publish_at: null, published_at: new Date(), archived_at: null }
+  });
+};
+
+// Retour en brouillon (annule aussi une publication programmée)
+export const unpublishCourse = async (course) => {
+  if (course.status === 'DRAFT') {
+    throw courseStatusError('Course is already a draft', 409);
+  }
+
+  return prisma.course.update({
+    where: { id: course.id },
+    data: { status: 'DRAFT', publish_at: null }
+  });
+};
+
+export const archiveCourse = async (course) => {
+  if (course.status === 'ARCHIVED') {
+    throw courseStatusError('Course is already archived', 409);
+  }
+
+  return prisma.course.update({
+    where: { id: course.id },
+    data: { status: 'ARCHIVED', publish_at: null, archived_at: new Date() }
+  });
+};
+
+// Passe en PUBLISHED les cours dont la date de publication est échue
+export const publishScheduledCourses = async (now = new Date()) => {
+  const due = await prisma.course.findMany({
+    where: { status: 'SCHEDULED', publish_at: { lte: now } },
+    select: { id: true, publish_at: true }
+  });
+
+  for (const course of due) {
+    await prisma.course.updateMany({
+      where: { id: course.id, status: 'SCHEDULED' },
+      data: { status: 'PUBLISHED', published_at: course.publish_at }
+    });
+  }
+
+  return due.map(course => course.id);
+};
@@ -0,0 +1,173 @@
+import { PrismaClient } from '@prisma/client';
+import { config } from 'dotenv';
+
+config();
+
+const prisma = new PrismaClient();
+
+// Filtre Prisma des inscriptions donnant actuellement accès au cours
+export const activeEnrollmentWhere = () => ({
+  status: 'ACTIVE',
+  OR: [
+    { expires_at: null },
+    { expires_at: { gt: new Date() } }
+  ]
+});
+
+export const isEnrollmentActive = (enrollment) => {
+  return Boolean(enrollment)
+    && enrollment.status === 'ACTIVE'
+    && (!enrollment.expires_at || enrollment.expires_at > new Date());
+};
+
+export const findEnrollment = (userId, courseId, db = prisma) => {
+  return db.enrollment.findUnique({
+    where: { user_id_course_id: { user_id: userId, course_id: courseId } }
+  });
+};
+
+export const hasActiveEnrollment = async (userId, courseId) => {
+  return isEnrollmentActive(await findEnrollment(userId, courseId));
+};
+
+export const getActiveCourseIds = async (userId) => {
+  const enrollments = await prisma.enrollment.findMany({
+    where: { user_id: userId, ...activeEnrollmentWhere() },
+    select: { course_id: true }
+  });
+
+  return enrollments.map(enrollment => enrollment.course_id);
+};
+
+// Exécute work dans une transaction, ou dans celle de l'appelant si db en est une
+const inTransaction = (db, work) => db === prisma ? prisma.$transaction(work) : work(db);
+
+// Inscrit (ou réinscrit) un utilisateur et tient Course.enrolled_count à jour.
+// Renvoie { enrollment, created } ; created vaut false si l'inscription était déjà active.
+// Deux appels simultanés ne créent qu'une ligne : l'insertion ignore le doublon et le second relit la ligne verrouillée.
+export const enrollUser = async ({ userId, courseId, source = 'SELF', expiresAt = null }, db = prisma) => {
+  return inTransaction(db, async (tx) => {
+    const data = {
+      status: 'ACTIVE',
+      source,
+      enrolled_at: new Date(),
+      expires_at: expiresAt,
+      dropped_at: null
+    };
+
+    const inserted = await tx.enrollment.createMany({
+      data: [{ ...data, user_id: userId, course_id: courseId }],
+      skipDuplicates: true
+    });
+
+    if (inserted.count === 0) {
+      await tx.$queryRaw`
+        SELECT id FROM "Enrollment" WHERE user_id = ${userId}::int AND course_id = ${courseId}::int FOR UPDATE
+      `;
+    }
+
+    const existing = await findEnrollment(userId, courseId, tx);
+
+    if (inserted.count > 0) {
+      await tx.course.update({
+        where: { id: courseId },
+        data: { enrolled_count: { increment: 1 } }
+      });
+
+      return { enrollment: existing, created: true };
+    }
+
+    if (isEnrollmentActive(existing)) {
+      return { enrollment: existing, created: false };
+    }
+
+    const enrollment = await tx.enrollment.update({ where: { id: existing.id }, data });
+
+    // Une inscription échue que expireEnrollments n'a pas encore passée en EXPIRED est toujours comptée
+    if (existing.status !== 'ACTIVE') {
+      await tx.course.update({
+        where: { id: courseId },
+        data: { enrolled_count: { increment: 1 } }
+      });
+    }
+
+    return { enrollment, created: true };
+  });
+};
+
+// Passe en EXPIRED les inscriptions dont l'accès a pris fin et les retire de Course.enrolled_count.
+// La mise à jour conditionnelle évite de décompter deux fois une inscription traitée en parallèle
+// ou prolongée entre-temps. Renvoie le nombre d'inscriptions expirées.
+export const expireEnrollments = async (now = new Date()) => {
+  const due = await prisma.enrollment.findMany({
+    where: { status: 'ACTIVE', expires_at: { lte: now } },
+    select: { id: true, course_id: true }
+  });
+
+  let expired = 0;
+  for (const enrollment of due) {
+    expired += await prisma.$transaction(async (tx) => {
+      const updated = await tx.enrollment.updateMany({
+        where: { id: enrollment.id, status: 'ACTIVE', expires_at: { lte: now } },
+        data: { status: 'EXPIRED' }
+      });
+
+      if (updated.count > 0) {
+        await tx.course.update({
+          where: { id: enrollment.course_id },
+          data: { enrolled_count: { decrement: 1 } }
+        });
+      }
+
+      return updated.count;
+    });
+  }
+
+  return expired;
+};
+
+// Désinscription (abandon par l'apprenant) : l'historique est conservé
+export const dropEnrollment = async (userId, courseId) => {
+  return prisma.$transaction(async (tx) => {
+    const existing = await findEnrollment(userId, courseId, tx);
+
+    if (!existing || existing.status !== 'ACTIVE') {
+      return null;
+    }
+
+    const enrollment = await tx.enrollment.update({
+      where: { id: existing.id },
+      data: { status: 'DROPPED', dropped_at: new Date() }
+    });
+
+    await tx.course.update({
+      where: { id: courseId },
+      data: { enrolled_count: { decrement: 1 } }
+    });
+
+    return enrollment;
+  });
+};
+
+// Retrait de l'accès (remboursement) : l'inscription passe en REVOKED
+export const revokeEnrollment = async (userId, courseId, db = prisma) => {
+  return inTransaction(db, async (tx) => {
+    const existing = await findEnrollment(userId, courseId, tx);
+
+    if (!existing || existing.status !== 'ACTIVE') {
+      return null;
+    }
+
+    const enrollment = await tx.enrollment.update({
+      where: { id: existing.id },
+      data: { status: 'REVOKED' }
+    });
+
+    await tx.course.update({
+      where: { id: courseId },
+      data: { enrolled_count: { decrement: 1 } }
+    });
+
+    return enrollment;
+  });
+};
@@ -1,3 +1,8 @@
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+// Échappe un texte saisi (motif, nom...) avant de l'insérer dans un email HTML
+const escapeHTML = (value) => String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+
 export const emailHTMLTemlate = (args) => {
     const { course, courseId, user, REACT_APP_URL } = args;
 
@@ -102,7 +107,8 @@ export const AdminEmailContent = ({user, course, email}) => {
 
 };
 
-export const generateSurveyEmailHTML = ({ email, learning_goal, motivation, skill_level, usage_goal, value_range }) => {
+// answers : réponses formatées par formatSurveyAnswers ({ prompt, value })
+export const generateSurveyEmailHTML = ({ email, answers }) => {
   return `
     <html>
       <head>
@@ -130,34 +136,283 @@ export const generateSurveyEmailHTML = ({ email, learning_goal, motivation, skil
               <td>Email</td>
               <td>${email}</td>
             </tr>
+            ${answers.map(answer => `
             <tr>
-              <td>Domaine d'intérêt</td>
-              <td>${learning_goal}</td>
+              <td>${answer.prompt}</td>
+              <td>${Array.isArray(answer.value) ? answer.value.join(', ') : answer.value ?? ''}</td>
+            </tr>`).join('')}
+          </table>
+
+          <div class="footer">
+            <p>Ce sondage a été soumis le ${new Date().toLocaleString()}</p>
+            <p>Plateforme AI Boost - Système de Formation</p>
+          </div>
+        </div>
+      </body>
+    </html>
+  `;
+};
+
+export const passwordResetEmailHTML = ({ user, resetUrl, expiresInMinutes }) => {
+  return `
+    <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; background-color: #FFF5E6; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; background-color: #FFFFFF; border-radius: 10px; }
+          h1 { color: #FF8C00; }
+          .button { background-color: #FF8C00; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px; display: inline-block; }
+          .footer { margin-top: 20px; text-align: center; font-size: 12px; color: #888; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <h1>Réinitialisation de votre mot de passe</h1>
+          <p>Bonjour ${user.full_name},</p>
+          <p>Nous avons reçu une demande de réinitialisation du mot de passe de votre compte AI Boost.</p>
+          <p>Pour choisir un nouveau mot de passe, cliquez sur le bouton ci-dessous :</p>
+          <p style="text-align: center;">
+            <a href="${resetUrl}" class="button">Réinitialiser mon mot de passe</a>
+          </p>
+          <p>Ce lien est valable ${expiresInMinutes} minutes et ne peut être utilisé qu'une seule fois.</p>
+          <p>Si vous n'êtes pas à l'origine de cette demande, vous pouvez ignorer cet e-mail : votre mot de passe restera inchangé.</p>
+          <p>L'équipe AI Boost</p>
+          <div class="footer">
+            <p>Cet e-mail est généré automatiquement. Merci de ne pas y répondre.</p>
+          </div>
+        </div>
+      </body>
+    </html>
+  `;
+};
+
+
+export const emailVerificationHTML = ({ user, verifyUrl }) => {
+  return `
+    <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; background-color: #FFF5E6; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; background-color: #FFFFFF; border-radius: 10px; }
+          h1 { color: #FF8C00; }
+          .button { background-color: #FF8C00; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px; display: inline-block; }
+          .footer { margin-top: 20px; text-align: center; font-size: 12px; color: #888; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <h1>Confirmez votre adresse e-mail</h1>
+          <p>Bonjour ${user.full_name},</p>
+          <p>Merci de vous être inscrit sur AI Boost. Pour activer votre compte et vous inscrire aux cours, confirmez votre adresse e-mail :</p>
+          <p style="text-align: center;">
+            <a href="${verifyUrl}" class="button">Confirmer mon e-mail</a>
+          </p>
+          <p>Ce lien est valable 24 heures.</p>
+          <p>L'équipe AI Boost</p>
+          <div class="footer">
+            <p>Cet e-mail est généré automatiquement. Merci de ne pas y répondre.</p>
+          </div>
+        </div>
+      </body>
+    </html>
+  `;
+};
+
+
+export const accountSuspendedEmailHTML = ({ user, reason, suspendedUntil }) => {
+  const untilText = suspendedUntil
+    ? `Votre compte sera automatiquement réactivé le ${new Date(suspendedUntil).toLocaleString('fr-FR')}.`
+    : 'Cette suspension restera en place jusqu\'à ce qu\'un administrateur réactive votre compte.';
+
+  return `
+    <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; background-color: #FFF5E6; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; background-color: #FFFFFF; border-radius: 10px; }
+          h1 { color: #FF8C00; }
+          .reason { background-color: #f8f9fa; border-left: 4px solid #FF8C00; padding: 10px 15px; }
+          .footer { margin-top: 20px; text-align: center; font-size: 12px; color: #888; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <h1>Votre compte a été suspendu</h1>
+          <p>Bonjour ${escapeHTML(user.full_name)},</p>
+          <p>Votre compte AI Boost a été suspendu par un administrateur. Pendant la suspension, vous ne pouvez plus vous connecter ni accéder à vos cours.</p>
+          ${reason ? `<p><strong>Motif :</strong></p><p class="reason">${escapeHTML(reason)}</p>` : ''}
+          <p>${untilText}</p>
+          <p>Si vous pensez qu'il s'agit d'une erreur, contactez-nous en répondant à l'adresse ci-dessous.</p>
+          <p>L'équipe AI Boost</p>
+          <div class="footer">
+            <p>Besoin d'aide ? Contactez-nous :</p>
+            <p>
+              <a href="https://wa.me/+22967153974" style="color: #FF8C00;">WhatsApp</a> |
+              <a href="mailto:birotori@gmail.com" style="color: #FF8C00;">contact@aiboost.com</a>
+            </p>
+          </div>
+        </div>
+      </body>
+    </html>
+  `;
+};
+
+
+export const accountLockedEmailHTML = ({ user, unlockUrl, lockoutMinutes }) => {
+  return `
+    <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; background-color: #FFF5E6; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; background-color: #FFFFFF; border-radius: 10px; }
+          h1 { color: #FF8C00; }
+          .button { background-color: #FF8C00; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px; display: inline-block; }
+          .footer { margin-top: 20px; text-align: center; font-size: 12px; color: #888; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <h1>Compte temporairement verrouillé</h1>
+          <p>Bonjour ${user.full_name},</p>
+          <p>Plusieurs tentatives de connexion à votre compte AI Boost ont échoué. Par sécurité, votre compte est verrouillé pendant ${lockoutMinutes} minutes.</p>
+          <p>S'il s'agit bien de vous, vous pouvez le déverrouiller immédiatement :</p>
+          <p style="text-align: center;">
+            <a href="${unlockUrl}" class="button">Déverrouiller mon compte</a>
+          </p>
+          <p>Si vous n'êtes pas à l'origine de ces tentatives, nous vous conseillons de réinitialiser votre mot de passe.</p>
+          <p>L'équipe AI Boost</p>
+          <div class="footer">
+            <p>Cet e-mail est généré automatiquement. Merci de ne pas y répondre.</p>
+          </div>
+        </div>
+      </body>
+    </html>
+  `;
+};
+
+
+const SUBMISSION_STATUS_LABELS = {
+  PENDING: 'En attente de relecture',
+  REVIEWING: 'En cours de relecture',
+  NEEDS_REVISION: 'À corriger',
+  ACCEPTED: 'Acceptée',
+  REJECTED: 'Refusée'
+};
+
+export const submissionReviewedEmailHTML = ({ user, submission, course, chapter, REACT_APP_URL }) => {
+  return `
+    <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; background-color: #FFF5E6; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; background-color: #FFFFFF; border-radius: 10px; }
+          h1 { color: #FF8C00; }
+          .status { font-weight: bold; color: #FF8C00; }
+          .comment { background-color: #f8f9fa; border-left: 4px solid #FF8C00; padding: 10px 15px; }
+          .button { background-color: #FF8C00; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px; display: inline-block; }
+          .footer { margin-top: 20px; text-align: center; font-size: 12px; color: #888; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <h1>Votre travail a été relu</h1>
+          <p>Bonjour ${user.full_name},</p>
+          <p>Votre mentor a relu votre travail pour le chapitre "${chapter.title}" du cours "${course.title}".</p>
+          <p>Nouveau statut : <span class="status">${SUBMISSION_STATUS_LABELS[submission.status] || submission.status}</span></p>
+          ${submission.mentor_comment ? `<p><strong>Commentaire du mentor :</strong></p><p class="comment">${submission.mentor_comment}</p>` : ''}
+          <p style="text-align: center;">
+            <a href="${REACT_APP_URL}/course/${submission.course_id}" class="button">Voir le cours</a>
+          </p>
+          <p>L'équipe AI Boost</p>
+          <div class="footer">
+            <p>Vous pouvez désactiver ces notifications dans les préférences de votre compte.</p>
+          </div>
+        </div>
+      </body>
+    </html>
+  `;
+};
+
+export const submissionAssignedEmailHTML = ({ mentor, student, submission, course, chapter }) => {
+  return `
+    <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          h1 { color: #4A90E2; }
+          table { width: 100%; border-collapse: collapse; margin-top: 20px; }
+          th, td { border: 1px solid #ddd; padding: 8px; text-align: left; }
+          th { background-color: #f2f2f2; }
+          .footer { margin-top: 20px; font-size: 12px; color: #888; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <h1>Nouvelle soumission à relire</h1>
+          <p>Bonjour ${mentor.full_name},</p>
+          <p>Une soumission vient d'arriver dans votre file de relecture.</p>
+          <table>
+            <tr>
+              <th>Détails</th>
+              <th>Information</th>
             </tr>
             <tr>
-              <td>Motivation</td>
-              <td>${motivation}</td>
+              <td>Étudiant</td>
+              <td>${student.full_name}</td>
             </tr>
             <tr>
-              <td>Niveau actuel</td>
-              <td>${skill_level}</td>
+              <td>Cours</td>
+              <td>${course.title}</td>
+            </tr>
+            <tr>
+              <td>Chapitre</td>
+              <td>${chapter.title}</td>
             </tr>
             <tr>
-              <td>Objectif d'utilisation</td>
-              <td>${usage_goal}</td>
+              <td>Version</td>
+              <td>${submission.current_version}</td>
             </tr>
             <tr>
-              <td>Besoin d'un mentor</td>
-              <td>${value_range}</td>
+              <td>Lien</td>
+              <td><a href="${submission.link}">${submission.link}</a></td>
             </tr>
           </table>
+          <div class="footer">
+            <p>Vous pouvez désactiver ces notifications dans les préférences de votre compte.</p>
+          </div>
+        </div>
+      </body>
+    </html>
+  `;
+};
 
+export const chapterUnlockedEmailHTML = ({ user, chapter, course, REACT_APP_URL }) => {
+  return `
+    <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; background-color: #FFF5E6; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; background-color: #FFFFFF; border-radius: 10px; }
+          h1 { color: #FF8C00; }
+          .button { background-color: #FF8C00; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px; display: inline-block; }
+          .footer { margin-top: 20px; text-align: center; font-size: 12px; color: #888; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <h1>Un nouveau chapitre est disponible</h1>
+          <p>Bonjour ${user.full_name},</p>
+          <p>Le chapitre "${chapter.title}" du cours "${course.title}" est maintenant accessible.</p>
+          <p style="text-align: center;">
+            <a href="${REACT_APP_URL}/course/${course.id}" class="button">Reprendre le cours</a>
+          </p>
+          <p>L'équipe AI Boost</p>
           <div class="footer">
-            <p>Ce sondage a été soumis le ${new Date().toLocaleString()}</p>
-            <p>Plateforme AI Boost - Système de Formation</p>
+            <p>Vous pouvez désactiver ces notifications dans les préférences de votre compte.</p>
           </div>
         </div>
       </body>
     </html>
   `;
-};
\ No newline at end of file
+};
@@ -0,0 +1,124 @@
+import { PrismaClient } from '@prisma/client';
+import { config } from 'dotenv';
+import { notifySubmissionAssigned } from './notifications.js';
+
+config();
+
+const prisma = new PrismaClient();
+
+// Statuts pour lesquels une soumission occupe encore la file d'un mentor
+export const OPEN_SUBMISSION_STATUSES = ['PENDING', 'REVIEWING'];
+
+const ASSIGNMENT_MODE = process.env.MENTOR_ASSIGNMENT_MODE === 'round_robin' ? 'round_robin' : 'least_loaded';
+const REVIEW_TIMEOUT_HOURS = parseInt(process.env.MENTOR_REVIEW_TIMEOUT_HOURS) || 48;
+
+const getAvailableMentors = async (excludeMentorIds = []) => {
+  return prisma.user.findMany({
+    where: {
+      role: 'MENTOR',
+      id: { notIn: excludeMentorIds },
+      OR: [
+        { is_suspended: false },
+        { suspended_until: { lte: new Date() } }
+      ]
+    },
+    select: { id: true },
+    orderBy: { id: 'asc' }
+  });
+};
+
+// Mentor suivant celui qui a reçu la dernière assignation
+const pickRoundRobin = async (mentors) => {
+  const lastAssigned = await prisma.submission.findFirst({
+    where: { mentor_id: { not: null }, assigned_at: { not: null } },
+    orderBy: { assigned_at: 'desc' },
+    select: { mentor_id: true }
+  });
+
+  const next = mentors.find(mentor => mentor.id > (lastAssigned?.mentor_id ?? 0));
+  return (next || mentors[0]).id;
+};
+
+// Mentor avec le moins de soumissions ouvertes (à égalité, le plus petit id)
+const pickLeastLoaded = async (mentors) => {
+  const loads = await prisma.submission.groupBy({
+    by: ['mentor_id'],
+    where: {
+      mentor_id: { in: mentors.map(mentor => mentor.id) },
+      status: { in: OPEN_SUBMISSION_STATUSES }
+    },
+    _count: { _all: true }
+  });
+
+  const loadByMentor = new Map(loads.map(load => [load.mentor_id, load._count._all]));
+
+  return mentors.reduce((best, mentor) => {
+    return (loadByMentor.get(mentor.id) || 0) < (loadByMentor.get(best.id) || 0) ? mentor : best;
+  }).id;
+};
+
+export const pickMentor = async (excludeMentorIds = []) => {
+  const mentors = await getAvailableMentors(excludeMentorIds);
+
+  if (!mentors.length) {
+    return null;
+  }
+
+  return ASSIGNMENT_MODE === 'round_robin' ? pickRoundRobin(mentors) : pickLeastLoaded(mentors);
+};
+
+// Assigne la soumission à un mentor ; elle reste non assignée si aucun mentor n'est disponible.
+// submission est l'état lu par l'appelant ({ id, status, mentor_id }) : la mise à jour n'a lieu que s'il
+// n'a pas changé entre-temps (revue acceptée ou rejetée pendant la réassignation). Renvoie null sinon.
+export const assignSubmission = async (submission, { excludeMentorIds = [] } = {}) => {
+  const mentorId = await pickMentor(excludeMentorIds);
+
+  const updated = await prisma.submission.updateMany({
+    where: { id: submission.id, status: submission.status, mentor_id: submission.mentor_id },
+    data: {
+      mentor_id: mentorId,
+      assigned_at: mentorId ? new Date() : null,
+      status: 'PENDING',
+      reviewing_since: null
+    }
+  });
+
+  if (updated.count === 0) {
+    return null;
+  }
+
+  if (mentorId) {
+    await notifySubmissionAssigned(submission.id);
+  }
+
+  return prisma.submission.findUnique({ where: { id: submission.id } });
+};
+
+// Réassigne les soumissions restées trop longtemps en REVIEWING chez le même mentor
+export const reassignStaleReviews = async () => {
+  const staleBefore = new Date(Date.now() - REVIEW_TIMEOUT_HOURS * 60 * 60 * 1000);
+
+  const staleSubmissions = await prisma.submission.findMany({
+    where: {
+      status: 'REVIEWING',
+      reviewing_since: { lt: staleBefore }
+    },
+    select: { id: true, status: true, mentor_id: true }
+  });
+
+  const reassigned = [];
+  for (const submission of staleSubmissions) {
+    const updated = await assignSubmission(submission, {
+      excludeMentorIds: submission.mentor_id ? [submission.mentor_id] : []
+    });
+
+    // Revue terminée entre-temps par le mentor : rien à réassigner
+    if (!updated) {
+      continue;
+    }
+
+    reassigned.push({ id: updated.id, from: submission.mentor_id, to: updated.mentor_id });
+  }
+
+  return reassigned;
+};
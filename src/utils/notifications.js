@@ -0,0 +1,137 @@
+import { PrismaClient } from '@prisma/client';
+import { config } from 'dotenv';
+import { SendEmail } from './utils.js';
+import { submissionReviewedEmailHTML, submissionAssignedEmailHTML, chapterUnlockedEmailHTML } from './mailHTML.js';
+
+config();
+
+const prisma = new PrismaClient();
+
+export const NOTIFICATION_TYPES = ['SUBMISSION_REVIEWED', 'SUBMISSION_ASSIGNED', 'CHAPTER_UNLOCKED'];
+
+// Statuts qui terminent une relecture et donnent lieu à un email pour l'étudiant
+const REVIEW_COMPLETED_STATUSES = ['NEEDS_REVISION', 'ACCEPTED', 'REJECTED'];
+
+export const isNotificationEnabled = async (userId, type) => {
+  const preference = await prisma.notificationPreference.findUnique({
+    where: { user_id_type: { user_id: userId, type } }
+  });
+
+  return preference ? preference.enabled : true;
+};
+
+// Préférences complètes d'un utilisateur, types absents en base compris
+export const getNotificationPreferences = async (userId) => {
+  const preferences = await prisma.notificationPreference.findMany({
+    where: { user_id: userId }
+  });
+
+  return Object.fromEntries(NOTIFICATION_TYPES.map(type => [
+    type,
+    preferences.find(preference => preference.type === type)?.enabled ?? true
+  ]));
+};
+
+export const updateNotificationPreferences = async (userId, preferences) => {
+  await prisma.$transaction(Object.entries(preferences).map(([type, enabled]) =>
+    prisma.notificationPreference.upsert({
+      where: { user_id_type: { user_id: userId, type } },
+      update: { enabled },
+      create: { user_id: userId, type, enabled }
+    })
+  ));
+
+  return getNotificationPreferences(userId);
+};
+
+const loadSubmission = (submissionId) => prisma.submission.findUnique({
+  where: { id: submissionId },
+  include: {
+    user: { select: { id: true, email: true, full_name: true } },
+    mentor: { select: { id: true, email: true, full_name: true } },
+    course: { select: { title: true } },
+    chapter: { select: { title: true } }
+  }
+});
+
+// Les notifications ne doivent jamais faire échouer l'action qui les déclenche : les erreurs sont journalisées
+
+export const notifySubmissionReviewed = async (submissionId) => {
+  try {
+    const submission = await loadSubmission(submissionId);
+
+    if (!submission || !REVIEW_COMPLETED_STATUSES.includes(submission.status)) {
+      return;
+    }
+
+    if (!(await isNotificationEnabled(submission.user_id, 'SUBMISSION_REVIEWED'))) {
+      return;
+    }
+
+    await SendEmail({
+      mail: submission.user.email,
+      name: submission.user.full_name,
+      subject: `Votre travail a été relu : ${submission.chapter.title}`,
+      HTMLPart: submissionReviewedEmailHTML({
+        user: submission.user,
+        submission,
+        course: submission.course,
+        chapter: submission.chapter,
+        REACT_APP_URL: process.env.REACT_APP_URL
+      })
+    });
+  } catch (error) {
+    console.error('Submission reviewed notification error:', error);
+  }
+};
+
+export const notifySubmissionAssigned = async (submissionId) => {
+  try {
+    const submission = await loadSubmission(submissionId);
+
+    if (!submission?.mentor) {
+      return;
+    }
+
+    if (!(await isNotificationEnabled(submission.mentor.id, 'SUBMISSION_ASSIGNED'))) {
+      return;
+    }
+
+    await SendEmail({
+      mail: submission.mentor.email,
+      name: submission.mentor.full_name,
+      subject: `Nouvelle soumission à relire : ${submission.course.title}`,
+      HTMLPart: submissionAssignedEmailHTML({
+        mentor: submission.mentor,
+        student: submission.user,
+        submission,
+        course: submission.course,
+        chapter: submission.chapter
+      })
+    });
+  } catch (error) {
+    console.error('Submission assigned notification error:', error);
+  }
+};
+
+export const notifyChapterUnlocked = async ({ user, chapter, course }) => {
+  try {
+    if (!(await isNotificationEnabled(user.id, 'CHAPTER_UNLOCKED'))) {
+      return;
+    }
+
+    await SendEmail({
+      mail: user.email,
+      name: user.full_name,
+      subject: `Nouveau chapitre disponible : ${chapter.title}`,
+      HTMLPart: chapterUnlockedEmailHTML({
+        user,
+        chapter,
+        course,
+        REACT_APP_URL: process.env.REACT_APP_URL
+      })
+    });
+  } catch (error) {
+    console.error('Chapter unlocked notification error:', error);
+  }
+};
@@ -0,0 +1,41 @@
+import { PrismaClient } from '@prisma/client';
+import { config } from 'dotenv';
+
+config();
+
+const prisma = new PrismaClient();
+
+const progressKey = (userId, courseId) => ({ user_id_course_id: { user_id: userId, course_id: courseId } });
+
+// Fait du chapitre le chapitre courant, en créant la progression si besoin.
+// L'upsert s'appuie sur @@unique([user_id, course_id]) : deux requêtes simultanées ne créent pas deux lignes.
+export const setCurrentChapter = async ({ userId, courseId, chapterId }, db = prisma) => {
+  return db.userProgress.upsert({
+    where: progressKey(userId, courseId),
+    create: {
+      user_id: userId,
+      course_id: courseId,
+      current_chapter_id: chapterId,
+      completed_chapters: []
+    },
+    update: { current_chapter_id: chapterId }
+  });
+};
+
+// Ajoute un chapitre aux chapitres terminés (sans doublon) et en fait le chapitre courant.
+// L'ajout est une seule requête conditionnelle : deux validations simultanées ne s'écrasent pas.
+// `db` permet de l'appeler à l'intérieur d'une transaction Prisma.
+export const markChapterCompleted = async ({ userId, courseId, chapterId }, db = prisma) => {
+  await setCurrentChapter({ userId, courseId, chapterId }, db);
+
+  await db.userProgress.updateMany({
+    where: {
+      user_id: userId,
+      course_id: courseId,
+      NOT: { completed_chapters: { has: chapterId } }
+    },
+    data: { completed_chapters: { push: chapterId } }
+  });
+
+  return db.userProgress.findUnique({ where: progressKey(userId, courseId) });
+};
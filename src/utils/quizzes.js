@@ -0,0 +1,166 @@
+import { PrismaClient } from '@prisma/client';
+import { config } from 'dotenv';
+import { markChapterCompleted } from './progress.js';
+import { issueCertificateIfCompleted } from './certificates.js';
+
+config();
+
+const prisma = new PrismaClient();
+
+const quizError = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+export const quizInclude = {
+  questions: {
+    include: {
+      options: { orderBy: { position: 'asc' } }
+    },
+    orderBy: { position: 'asc' }
+  }
+};
+
+export const findChapterQuiz = (chapterId) => {
+  return prisma.quiz.findUnique({
+    where: { chapter_id: chapterId },
+    include: quizInclude
+  });
+};
+
+// Version apprenant : ni options correctes ni réponses acceptées
+export const toLearnerQuiz = (quiz) => ({
+  id: quiz.id,
+  chapter_id: quiz.chapter_id,
+  title: quiz.title,
+  pass_mark: quiz.pass_mark,
+  max_attempts: quiz.max_attempts,
+  questions: quiz.questions.map(question => ({
+    id: question.id,
+    type: question.type,
+    prompt: question.prompt,
+    points: question.points,
+    options: question.options.map(option => ({ id: option.id, label: option.label }))
+  }))
+});
+
+// Comparaison des réponses courtes sans casse, accents ni espaces superflus
+export const normalizeAnswer = (value) => {
+  return String(value)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+const isQuestionCorrect = (question, answer) => {
+  if (!answer) {
+    return false;
+  }
+
+  if (question.type === 'MULTIPLE_CHOICE') {
+    // Toutes les options correctes, et seulement elles
+    const selected = new Set(answer.option_ids || []);
+    const correct = question.options.filter(option => option.is_correct).map(option => option.id);
+    return selected.size === correct.length && correct.every(id => selected.has(id));
+  }
+
+  if (typeof answer.text !== 'string') {
+    return false;
+  }
+
+  const text = normalizeAnswer(answer.text);
+  return question.accepted_answers.some(accepted => normalizeAnswer(accepted) === text);
+};
+
+// Note une copie : score en pourcentage des points, résultat par question sans la correction
+export const gradeQuiz = (quiz, answers) => {
+  const answersByQuestion = new Map(answers.map(answer => [answer.question_id, answer]));
+
+  const results = quiz.questions.map(question => {
+    const correct = isQuestionCorrect(question, answersByQuestion.get(question.id));
+    return { question_id: question.id, correct, points: correct ? question.points : 0 };
+  });
+
+  const total = quiz.questions.reduce((sum, question) => sum + question.points, 0);
+  const earned = results.reduce((sum, result) => sum + result.points, 0);
+  const score = total > 0 ? Math.round((earned / total) * 10000) / 100 : 0;
+
+  return { score, passed: score >= quiz.pass_mark, results };
+};
+
+export const getAttemptSummary = async (quiz, userId) => {
+  const attempts = await prisma.quizAttempt.findMany({
+    where: { quiz_id: quiz.id, user_id: userId },
+    select: { id: true, score: true, passed: true, created_at: true },
+    orderBy: { created_at: 'asc' }
+  });
+
+  return {
+    attempts_used: attempts.length,
+    attempts_remaining: quiz.max_attempts === null ? null : Math.max(quiz.max_attempts - attempts.length, 0),
+    best_score: attempts.length ? Math.max(...attempts.map(attempt => attempt.score)) : null,
+    passed: attempts.some(attempt => attempt.passed),
+    attempts
+  };
+};
+
+// Enregistre et note une tentative. Une réussite termine le chapitre ; une fois réussi,
+// le quiz ne consomme plus de tentative.
+export const submitQuizAttempt = async ({ quiz, userId, courseId, answers }) => {
+  const questionIds = new Set(quiz.questions.map(question => question.id));
+  const unknown = answers.find(answer => !questionIds.has(answer.question_id));
+
+  if (unknown) {
+    throw quizError(`Question ${unknown.question_id} does not belong to this quiz`, 400);
+  }
+
+  const attempt = await prisma.$transaction(async (tx) => {
+    // Verrou sur l'inscription : les tentatives simultanées d'un même apprenant sont traitées l'une après
+    // l'autre, la seconde voit donc la première dans le décompte de max_attempts
+    await tx.$queryRaw`
+      SELECT id FROM "Enrollment" WHERE user_id = ${userId}::int AND course_id = ${courseId}::int FOR UPDATE
+    `;
+
+    const previous = await tx.quizAttempt.findMany({
+      where: { quiz_id: quiz.id, user_id: userId },
+      select: { passed: true }
+    });
+
+    if (previous.some(attempt => attempt.passed)) {
+      throw quizError('You have already passed this quiz', 409);
+    }
+
+    if (quiz.max_attempts !== null && previous.length >= quiz.max_attempts) {
+      throw quizError('No attempts left for this quiz', 403);
+    }
+
+    const { score, passed, results } = gradeQuiz(quiz, answers);
+
+    const created = await tx.quizAttempt.create({
+      data: {
+        quiz_id: quiz.id,
+        user_id: userId,
+        score,
+        passed,
+        answers,
+        results
+      }
+    });
+
+    if (passed) {
+      await markChapterCompleted({ userId, courseId, chapterId: quiz.chapter_id }, tx);
+    }
+
+    return created;
+  });
+
+  // La tentative est enregistrée : un échec d'émission du certificat ne fait pas échouer la réponse
+  if (attempt.passed) {
+    try {
+      await issueCertificateIfCompleted({ userId, courseId });
+    } catch (error) {
+      console.error('Certificate issuance error:', error);
+    }
+  }
+
+  return attempt;
+};
@@ -0,0 +1,122 @@
+import { PrismaClient } from '@prisma/client';
+import { config } from 'dotenv';
+import { errorResponse } from './apiResponses.js';
+
+config();
+
+const MEMORY_STORE_MAX_KEYS = 10000;
+
+// Stockage en mémoire : suffisant pour une seule instance (développement, serveur unique)
+export class MemoryStore {
+  constructor() {
+    this.buckets = new Map();
+  }
+
+  async increment(key, windowMs) {
+    const now = Date.now();
+
+    if (this.buckets.size > MEMORY_STORE_MAX_KEYS) {
+      this.purgeExpired(now);
+    }
+
+    let bucket = this.buckets.get(key);
+
+    if (!bucket || bucket.resetAt <= now) {
+      bucket = { count: 0, resetAt: now + windowMs };
+      this.buckets.set(key, bucket);
+    }
+
+    bucket.count += 1;
+
+    return { count: bucket.count, resetAt: new Date(bucket.resetAt) };
+  }
+
+  async reset(key) {
+    this.buckets.delete(key);
+  }
+
+  purgeExpired(now) {
+    for (const [key, bucket] of this.buckets) {
+      if (bucket.resetAt <= now) {
+        this.buckets.delete(key);
+      }
+    }
+  }
+}
+
+// Stockage en base : partagé entre les instances serverless de Vercel
+export class DatabaseStore {
+  constructor(prisma = new PrismaClient()) {
+    this.prisma = prisma;
+  }
+
+  async increment(key, windowMs) {
+    const resetAt = new Date(Date.now() + windowMs);
+
+    // Upsert atomique : la fenêtre repart à zéro si elle est expirée
+    const [bucket] = await this.prisma.$queryRaw`
+      INSERT INTO "RateLimitBucket" ("key", "count", "reset_at")
+      VALUES (${key}, 1, ${resetAt})
+      ON CONFLICT ("key") DO UPDATE SET
+        "count" = CASE WHEN "RateLimitBucket"."reset_at" <= NOW() THEN 1 ELSE "RateLimitBucket"."count" + 1 END,
+        "reset_at" = CASE WHEN "RateLimitBucket"."reset_at" <= NOW() THEN EXCLUDED."reset_at" ELSE "RateLimitBucket"."reset_at" END
+      RETURNING "count", "reset_at"
+    `;
+
+    return { count: bucket.count, resetAt: bucket.reset_at };
+  }
+
+  async reset(key) {
+    await this.prisma.rateLimitBucket.deleteMany({ where: { key } });
+  }
+}
+
+let defaultStore;
+
+// RATE_LIMIT_STORE=database pour un déploiement multi-instances, memory sinon
+export const getDefaultStore = () => {
+  if (!defaultStore) {
+    defaultStore = process.env.RATE_LIMIT_STORE === 'database' ? new DatabaseStore() : new MemoryStore();
+  }
+  return defaultStore;
+};
+
+export const createRateLimiter = ({ name, windowMs, max, store = getDefaultStore() }) => {
+  const consume = async (key) => {
+    const { count, resetAt } = await store.increment(`${name}:${key}`, windowMs);
+
+    return {
+      allowed: count <= max,
+      remaining: Math.max(max - count, 0),
+      retryAfter: Math.max(Math.ceil((new Date(resetAt).getTime() - Date.now()) / 1000), 0)
+    };
+  };
+
+  const reset = (key) => store.reset(`${name}:${key}`);
+
+  // Middleware Express ; keyGenerator renvoie null pour ne pas limiter la requête
+  const middleware = (keyGenerator, message = 'Too many requests, please try again later') => async (req, res, next) => {
+    const key = keyGenerator(req);
+
+    if (!key) {
+      return next();
+    }
+
+    try {
+      const result = await consume(key);
+
+      if (!result.allowed) {
+        res.set('Retry-After', String(result.retryAfter));
+        return errorResponse(res, message, 429);
+      }
+
+      next();
+    } catch (error) {
+      // Le limiteur ne doit jamais bloquer le service s'il est indisponible
+      console.error('Rate limiter error:', error);
+      next();
+    }
+  };
+
+  return { consume, reset, middleware };
+};
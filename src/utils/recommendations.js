@@ -0,0 +1,244 @@
+import { PrismaClient } from '@prisma/client';
+import { config } from 'dotenv';
+import { publishedCourseWhere } from './courseStatus.js';
+import { getActiveCourseIds } from './enrollments.js';
+
+config();
+
+const prisma = new PrismaClient();
+
+// Points attribués par critère ; un score nul ou négatif écarte le cours
+const WEIGHTS = {
+  goalInTitle: 3,
+  goalInDescription: 1,
+  usageMatch: 2,
+  tag: 2,
+  category: 2,
+  level: 2,
+  levelTooHigh: -3,
+  withinBudget: 2,
+  overBudget: -3,
+  enrolledAffinity: 1
+};
+
+// Niveaux repérés dans les réponses libres du sondage et dans le texte des cours, du plus simple au plus difficile
+const SKILL_LEVELS = [
+  { name: 'beginner', keywords: ['debutant', 'beginner', 'initiation', 'introduction', 'novice', 'bases'] },
+  { name: 'intermediate', keywords: ['intermediaire', 'intermediate', 'moyen'] },
+  { name: 'advanced', keywords: ['avance', 'advanced', 'expert', 'confirme', 'perfectionnement'] }
+];
+
+const STOP_WORDS = new Set([
+  'les', 'des', 'une', 'pour', 'avec', 'dans', 'sur', 'par', 'que', 'qui', 'est', 'mon', 'mes', 'son', 'ses',
+  'aux', 'pas', 'plus', 'tout', 'the', 'and', 'for', 'with', 'veux', 'apprendre', 'faire', 'etre', 'avoir',
+  'want', 'learn'
+]);
+
+// Minuscules, sans accents ni ponctuation
+const normalize = (text) => (text || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+const keywordsOf = (text) => [...new Set(
+  normalize(text).split(' ').filter(word => word.length >= 3 && !STOP_WORDS.has(word))
+)];
+
+// Mot entier, au singulier ou au pluriel
+const containsWord = (normalizedText, word) => {
+  const padded = ` ${normalizedText} `;
+  return padded.includes(` ${word} `) || padded.includes(` ${word}s `);
+};
+
+// Indice du niveau trouvé dans le texte (0 débutant, 1 intermédiaire, 2 avancé), null si aucun
+export const detectSkillLevel = (text) => {
+  const normalized = normalize(text);
+  const index = SKILL_LEVELS.findIndex(level => level.keywords.some(keyword => containsWord(normalized, keyword)));
+  return index === -1 ? null : index;
+};
+
+// Budget tiré de la réponse libre value_range : "gratuit", "moins de 10000", "plus de 5000", "5000 - 20000", "20000".
+// Renvoie { min, max } (bornes éventuellement nulles) ou null si aucun montant n'est reconnu.
+export const parseValueRange = (valueRange) => {
+  const normalized = normalize(valueRange);
+  const amounts = (normalized.replace(/(\d) (?=\d{3}\b)/g, '$1').match(/\d+/g) || []).map(Number);
+
+  if (/\b(gratuit|free)\b/.test(normalized) && !amounts.length) {
+    return { min: 0, max: 0 };
+  }
+
+  if (!amounts.length) {
+    return null;
+  }
+
+  if (amounts.length >= 2) {
+    return { min: Math.min(...amounts), max: Math.max(...amounts) };
+  }
+
+  if (/\b(plus|more|over|above|minimum|min|au dessus)\b/.test(normalized)) {
+    return { min: amounts[0], max: null };
+  }
+
+  return { min: 0, max: amounts[0] };
+};
+
+// Profil de l'apprenant : réponses au sondage (éventuelles) et cours déjà suivis
+const buildProfile = (survey, enrolledCourses = []) => ({
+  goalKeywords: keywordsOf(survey?.learning_goal),
+  usageKeywords: keywordsOf(survey?.usage_goal),
+  surveyText: normalize([survey?.learning_goal, survey?.usage_goal, survey?.motivation].join(' ')),
+  level: survey ? detectSkillLevel(survey.skill_level) : null,
+  budget: survey ? parseValueRange(survey.value_range) : null,
+  enrolledCategories: new Map(enrolledCourses.map(course => [course.category.id, course.title])),
+  enrolledTags: new Set(enrolledCourses.flatMap(course => course.course_tags.map(ct => ct.tag.id)))
+});
+
+// Score d'un cours pour un profil, avec les raisons lisibles par l'apprenant
+export const scoreCourse = (course, profile) => {
+  const reasons = [];
+  let score = 0;
+
+  const title = normalize(course.title);
+  const description = normalize(course.description);
+  const tags = course.course_tags.map(ct => ct.tag);
+
+  const goalInTitle = profile.goalKeywords.filter(word => containsWord(title, word));
+  const goalInDescription = profile.goalKeywords.filter(word => !goalInTitle.includes(word) && containsWord(description, word));
+  if (goalInTitle.length || goalInDescription.length) {
+    score += goalInTitle.length * WEIGHTS.goalInTitle + goalInDescription.length * WEIGHTS.goalInDescription;
+    reasons.push(`Matches your learning goal (${[...goalInTitle, ...goalInDescription].join(', ')})`);
+  }
+
+  const usageMatches = profile.usageKeywords.filter(word => containsWord(title, word) || containsWord(description, word));
+  if (usageMatches.length) {
+    score += usageMatches.length * WEIGHTS.usageMatch;
+    reasons.push(`Fits what you want to use it for (${usageMatches.join(', ')})`);
+  }
+
+  const matchingTags = tags.filter(tag => normalize(tag.name) && containsWord(profile.surveyText, normalize(tag.name)));
+  if (matchingTags.length) {
+    score += matchingTags.length * WEIGHTS.tag;
+    reasons.push(`Tagged ${matchingTags.map(tag => tag.name).join(', ')}`);
+  }
+
+  if (course.category && containsWord(profile.surveyText, normalize(course.category.name))) {
+    score += WEIGHTS.category;
+    reasons.push(`In the ${course.category.name} category you are interested in`);
+  }
+
+  const courseLevel = detectSkillLevel([course.title, course.description, ...tags.map(tag => tag.name)].join(' '));
+  if (profile.level !== null && courseLevel !== null) {
+    if (courseLevel === profile.level) {
+      score += WEIGHTS.level;
+      reasons.push(`Suited to your ${SKILL_LEVELS[profile.level].name} level`);
+    } else if (courseLevel - profile.level >= 2) {
+      score += WEIGHTS.levelTooHigh;
+    }
+  }
+
+  if (profile.budget) {
+    const price = course.price ?? 0;
+    const { min, max } = profile.budget;
+    if ((max === null || price <= max) && (price === 0 || min === null || price >= min)) {
+      score += WEIGHTS.withinBudget;
+      reasons.push(price === 0 ? 'Free course' : 'Price within your budget');
+    } else if (max !== null && price > max) {
+      score += WEIGHTS.overBudget;
+    }
+  }
+
+  if (profile.enrolledCategories.has(course.category?.id)) {
+    score += WEIGHTS.enrolledAffinity;
+    reasons.push(`Same category as ${profile.enrolledCategories.get(course.category.id)}, which you follow`);
+  }
+
+  const sharedTags = tags.filter(tag => profile.enrolledTags.has(tag.id) && !matchingTags.includes(tag));
+  if (sharedTags.length) {
+    score += sharedTags.length * WEIGHTS.enrolledAffinity;
+    reasons.push(`Covers ${sharedTags.map(tag => tag.name).join(', ')}, like courses you follow`);
+  }
+
+  return { score, reasons };
+};
+
+const courseSelect = {
+  id: true,
+  title: true,
+  description: true,
+  price: true,
+  duration: true,
+  cover_image_url: true,
+  enrolled_count: true,
+  category: {
+    select: { id: true, name: true }
+  },
+  course_tags: {
+    select: {
+      tag: {
+        select: { id: true, name: true }
+      }
+    }
+  },
+  _count: {
+    select: { chapters: true }
+  }
+};
+
+const toRecommendation = ({ course_tags, _count, ...course }, { score, reasons }) => ({
+  ...course,
+  tags: course_tags.map(ct => ct.tag),
+  chapter_count: _count.chapters,
+  score,
+  reasons
+});
+
+// Cours publiés classés pour un sondage et/ou des inscriptions, hors cours déjà suivis.
+// Sans aucun cours pertinent, les cours les plus suivis sont proposés.
+export const recommendCourses = async ({ survey = null, userId = null, limit = 3 }) => {
+  const enrolledIds = userId ? await getActiveCourseIds(userId) : [];
+
+  const [courses, enrolledCourses] = await Promise.all([
+    prisma.course.findMany({
+      where: { AND: [publishedCourseWhere(), { id: { notIn: enrolledIds } }] },
+      select: courseSelect
+    }),
+    prisma.course.findMany({
+      where: { id: { in: enrolledIds } },
+      select: { id: true, title: true, category: { select: { id: true } }, course_tags: { select: { tag: { select: { id: true } } } } }
+    })
+  ]);
+
+  const profile = buildProfile(survey, enrolledCourses);
+
+  const scored = courses
+    .map(course => ({ course, result: scoreCourse(course, profile) }))
+    .filter(({ result }) => result.score > 0)
+    .sort((a, b) => b.result.score - a.result.score || b.course.enrolled_count - a.course.enrolled_count);
+
+  if (scored.length) {
+    return scored.slice(0, limit).map(({ course, result }) => toRecommendation(course, result));
+  }
+
+  return courses
+    .sort((a, b) => b.enrolled_count - a.enrolled_count)
+    .slice(0, limit)
+    .map(course => toRecommendation(course, { score: 0, reasons: ['Popular with other learners'] }));
+};
+
+// Dernier sondage de l'utilisateur. Un sondage anonyme rempli avec son email n'est retenu que si l'adresse
+// est vérifiée et que le sondage date d'après la création du compte : sinon n'importe qui pourrait
+// orienter les recommandations d'un compte en saisissant son email.
+export const findLatestSurvey = async (user) => {
+  const matches = [{ user_id: user.id }];
+
+  if (user.email_verified_at) {
+    matches.push({ user_id: null, email: user.email, created_at: { gte: user.created_at } });
+  }
+
+  return prisma.survey.findFirst({
+    where: { OR: matches },
+    orderBy: { created_at: 'desc' }
+  });
+};
@@ -0,0 +1,163 @@
+import { PrismaClient } from '@prisma/client';
+import { config } from 'dotenv';
+import { generateToken, generateRandomToken, hashToken, checkSuspension, suspensionMessage } from './utils.js';
+
+config();
+
+const prisma = new PrismaClient();
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const sessionError = (message, statusCode = 401) => Object.assign(new Error(message), { statusCode });
+
+const refreshTokenExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+// Ouvre une nouvelle session (un appareil) et renvoie la paire jeton d'accès / refresh token
+export const createSession = async (user, req) => {
+  const refreshToken = generateRandomToken();
+
+  const session = await prisma.session.create({
+    data: {
+      user_id: user.id,
+      user_agent: req.headers['user-agent'] || null,
+      ip_address: req.ip || null,
+      refresh_tokens: {
+        create: {
+          token_hash: hashToken(refreshToken),
+          expires_at: refreshTokenExpiry()
+        }
+      }
+    }
+  });
+
+  return { token: generateToken(user, session.id), refreshToken };
+};
+
+export const revokeSession = async (sessionId) => {
+  const now = new Date();
+
+  await prisma.$transaction([
+    prisma.session.updateMany({
+      where: { id: sessionId, revoked_at: null },
+      data: { revoked_at: now }
+    }),
+    prisma.refreshToken.updateMany({
+      where: { session_id: sessionId, revoked_at: null },
+      data: { revoked_at: now }
+    })
+  ]);
+};
+
+export const revokeAllSessions = async (userId) => {
+  const now = new Date();
+
+  await prisma.$transaction([
+    prisma.refreshToken.updateMany({
+      where: { session: { user_id: userId }, revoked_at: null },
+      data: { revoked_at: now }
+    }),
+    prisma.session.updateMany({
+      where: { user_id: userId, revoked_at: null },
+      data: { revoked_at: now }
+    })
+  ]);
+};
+
+// Échange un refresh token contre une nouvelle paire (rotation).
+// Un jeton déjà utilisé qui revient signifie qu'il a fuité : toute la session est révoquée.
+export const rotateRefreshToken = async (refreshToken) => {
+  const stored = await prisma.refreshToken.findUnique({
+    where: { token_hash: hashToken(refreshToken) },
+    include: {
+      session: {
+        include: {
+          user: {
+            select: {
+              id: true,
+              email: true,
+              role: true,
+              is_suspended: true,
+              suspension_reason: true,
+              suspended_until: true
+            }
+          }
+        }
+      }
+    }
+  });
+
+  if (!stored) {
+    throw sessionError('Invalid refresh token');
+  }
+
+  if (stored.revoked_at) {
+    await revokeSession(stored.session_id);
+    throw sessionError('Refresh token reuse detected, session revoked');
+  }
+
+  if (stored.session.revoked_at || stored.expires_at < new Date()) {
+    throw sessionError('Refresh token expired or revoked');
+  }
+
+  if (await checkSuspension(stored.session.user)) {
+    throw sessionError(suspensionMessage(stored.session.user), 403);
+  }
+
+  const newRefreshToken = generateRandomToken();
+
+  const rotated = await prisma.$transaction(async (tx) => {
+    // Réclamer l'ancien jeton de façon atomique pour détecter une réutilisation concurrente
+    const claimed = await tx.refreshToken.updateMany({
+      where: { id: stored.id, revoked_at: null },
+      data: { revoked_at: new Date() }
+    });
+
+    if (claimed.count === 0) {
+      return false;
+    }
+
+    const created = await tx.refreshToken.create({
+      data: {
+        session_id: stored.session_id,
+        token_hash: hashToken(newRefreshToken),
+        expires_at: refreshTokenExpiry()
+      }
+    });
+
+    await tx.refreshToken.update({
+      where: { id: stored.id },
+      data: { replaced_by_id: created.id }
+    });
+
+    await tx.session.update({
+      where: { id: stored.session_id },
+      data: { last_used_at: new Date() }
+    });
+
+    return true;
+  });
+
+  if (!rotated) {
+    await revokeSession(stored.session_id);
+    throw sessionError('Refresh token reuse detected, session revoked');
+  }
+
+  const { id, email, role } = stored.session.user;
+  const user = { id, email, role };
+
+  return {
+    token: generateToken(user, stored.session_id),
+    refreshToken: newRefreshToken,
+    user
+  };
+};
+
+// Retrouve la session d'un refresh token (pour la déconnexion), sans vérifier son expiration
+export const findSessionIdByRefreshToken = async (refreshToken) => {
+  const stored = await prisma.refreshToken.findUnique({
+    where: { token_hash: hashToken(refreshToken) },
+    select: { session_id: true }
+  });
+
+  return stored?.session_id || null;
+};
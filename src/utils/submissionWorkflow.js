@@ -0,0 +1,170 @@
+import { PrismaClient } from '@prisma/client';
+import { config } from 'dotenv';
+import { markChapterCompleted } from './progress.js';
+import { issueCertificateIfCompleted } from './certificates.js';
+
+config();
+
+const prisma = new PrismaClient();
+
+// Cycle de vie d'une soumission :
+// PENDING -> REVIEWING -> NEEDS_REVISION | ACCEPTED | REJECTED, NEEDS_REVISION -> PENDING (nouvelle version)
+// REVIEWING -> PENDING quand le mentor libère la soumission ou qu'elle est réassignée
+export const SUBMISSION_TRANSITIONS = {
+  PENDING: ['REVIEWING', 'NEEDS_REVISION', 'ACCEPTED', 'REJECTED'],
+  REVIEWING: ['PENDING', 'NEEDS_REVISION', 'ACCEPTED', 'REJECTED'],
+  NEEDS_REVISION: ['PENDING'],
+  ACCEPTED: [],
+  REJECTED: []
+};
+
+// Statuts dans lesquels l'étudiant peut envoyer une nouvelle version de son lien
+export const RESUBMITTABLE_STATUSES = ['PENDING', 'NEEDS_REVISION'];
+
+export const canTransition = (from, to) => SUBMISSION_TRANSITIONS[from]?.includes(to) ?? false;
+
+export const assertTransition = (from, to) => {
+  if (!canTransition(from, to)) {
+    throw Object.assign(new Error(`Illegal submission status transition from ${from} to ${to}`), { statusCode: 409 });
+  }
+};
+
+// Enregistre une relecture (changement de statut et/ou commentaire) dans le fil de la soumission.
+// La mise à jour est conditionnée au statut lu, pour refuser deux relectures concurrentes.
+export const reviewSubmission = async (submission, { authorId, status, comment }) => {
+  const toStatus = status ?? submission.status;
+
+  if (toStatus !== submission.status) {
+    assertTransition(submission.status, toStatus);
+  }
+
+  const reviewed = await prisma.$transaction(async (tx) => {
+    const updated = await tx.submission.updateMany({
+      where: { id: submission.id, status: submission.status },
+      data: {
+        status: toStatus,
+        mentor_comment: comment ?? submission.mentor_comment,
+        mentor_id: submission.mentor_id ?? authorId,
+        reviewing_since: toStatus === 'REVIEWING' ? submission.reviewing_since ?? new Date() : null
+      }
+    });
+
+    if (updated.count === 0) {
+      throw Object.assign(new Error('Submission status changed in the meantime, please reload it'), { statusCode: 409 });
+    }
+
+    await tx.submissionReview.create({
+      data: {
+        submission_id: submission.id,
+        author_id: authorId,
+        attempt_version: submission.current_version,
+        from_status: submission.status,
+        to_status: toStatus,
+        comment: comment || null
+      }
+    });
+
+    // Une soumission acceptée termine le chapitre dans la progression de l'étudiant
+    if (toStatus === 'ACCEPTED') {
+      await markChapterCompleted({
+        userId: submission.user_id,
+        courseId: submission.course_id,
+        chapterId: submission.chapter_id
+      }, tx);
+    }
+
+    return tx.submission.findUnique({ where: { id: submission.id } });
+  });
+
+  // Après le commit : le dernier chapitre accepté peut terminer le cours.
+  // La revue est enregistrée : un échec d'émission du certificat ne doit pas la faire paraître perdue.
+  if (toStatus === 'ACCEPTED') {
+    try {
+      await issueCertificateIfCompleted({ userId: submission.user_id, courseId: submission.course_id });
+    } catch (error) {
+      console.error('Certificate issuance error:', error);
+    }
+  }
+
+  return reviewed;
+};
+
+// Nouvelle version du lien par l'étudiant : la soumission repart en attente de relecture
+export const resubmit = async (submission, link) => {
+  if (!RESUBMITTABLE_STATUSES.includes(submission.status)) {
+    throw Object.assign(new Error(`A submission in status ${submission.status} cannot be resubmitted`), { statusCode: 409 });
+  }
+
+  const version = submission.current_version + 1;
+
+  return prisma.$transaction(async (tx) => {
+    const updated = await tx.submission.updateMany({
+      where: { id: submission.id, status: submission.status, current_version: submission.current_version },
+      data: {
+        link,
+        status: 'PENDING',
+        current_version: version,
+        reviewing_since: null
+      }
+    });
+
+    if (updated.count === 0) {
+      throw Object.assign(new Error('Submission changed in the meantime, please reload it'), { statusCode: 409 });
+    }
+
+    await tx.submissionAttempt.create({
+      data: {
+        submission_id: submission.id,
+        version,
+        link
+      }
+    });
+
+    return tx.submission.findUnique({ where: { id: submission.id } });
+  });
+};
+
+// Fil complet : versions du lien et relectures, dans l'ordre chronologique
+export const getSubmissionThread = async (submissionId) => {
+  const submission = await prisma.submission.findUnique({
+    where: { id: submissionId },
+    include: {
+      user: {
+        select: { id: true, full_name: true }
+      },
+      mentor: {
+        select: { id: true, full_name: true }
+      },
+      course: {
+        select: { title: true }
+      },
+      chapter: {
+        select: { title: true }
+      },
+      attempts: {
+        orderBy: { version: 'asc' }
+      },
+      reviews: {
+        include: {
+          author: {
+            select: { id: true, full_name: true, role: true }
+          }
+        },
+        orderBy: { created_at: 'asc' }
+      }
+    }
+  });
+
+  if (!submission) {
+    return null;
+  }
+
+  const timeline = [
+    ...submission.attempts.map(attempt => ({ type: 'attempt', created_at: attempt.created_at, ...attempt })),
+    ...submission.reviews.map(review => ({ type: 'review', created_at: review.created_at, ...review }))
+  ].sort((a, b) => a.created_at - b.created_at);
+
+  const { attempts, reviews, ...details } = submission;
+
+  return { ...details, timeline };
+};
@@ -0,0 +1,206 @@
+import { PrismaClient } from '@prisma/client';
+import { config } from 'dotenv';
+import { findSurveyForm, formatSurveyAnswers } from './surveyForms.js';
+
+config();
+
+const prisma = new PrismaClient();
+
+// Réponses du sondage, dans l'ordre des colonnes de l'export
+export const SURVEY_FIELDS = ['learning_goal', 'motivation', 'skill_level', 'usage_goal', 'value_range'];
+
+const BASE_CSV_COLUMNS = ['id', 'created_at', 'email', 'user_id'];
+const CSV_COLUMNS = [...BASE_CSV_COLUMNS, ...SURVEY_FIELDS];
+
+// Filtre Prisma commun à la liste, aux statistiques et à l'export.
+// from est inclus, to exclu ; les réponses sont comparées sans tenir compte de la casse.
+export const surveyWhere = ({ from, to, email, user_id, form_id, registered, ...answers }) => ({
+  created_at: from || to ? { gte: from, lt: to } : undefined,
+  form_id,
+  email: email ? { contains: email, mode: 'insensitive' } : undefined,
+  user_id: user_id ?? (registered === undefined ? undefined : registered ? { not: null } : null),
+  ...Object.fromEntries(SURVEY_FIELDS
+    .filter(field => answers[field])
+    .map(field => [field, { equals: answers[field], mode: 'insensitive' }]))
+});
+
+// Pourcentage arrondi à une décimale
+const rate = (count, total) => total ? Math.round(count / total * 1000) / 10 : 0;
+
+// Répartition des réponses de chaque champ, de la plus fréquente à la plus rare
+export const getAnswerDistributions = async (where) => {
+  const [total, ...groups] = await Promise.all([
+    prisma.survey.count({ where }),
+    ...SURVEY_FIELDS.map(field => prisma.survey.groupBy({
+      by: [field],
+      where,
+      _count: { _all: true },
+      orderBy: { _count: { [field]: 'desc' } }
+    }))
+  ]);
+
+  const distributions = Object.fromEntries(SURVEY_FIELDS.map((field, index) => [
+    field,
+    groups[index].map(group => ({
+      answer: group[field],
+      count: group._count._all,
+      percentage: rate(group._count._all, total)
+    }))
+  ]));
+
+  return { total, distributions };
+};
+
+// Répartition des réponses aux questions d'un questionnaire : nombre de réponses par option
+// (une réponse à choix multiple compte pour chaque option), par valeur d'échelle, ou nombre de réponses libres
+export const getQuestionDistributions = async (formId, where) => {
+  const [form, answers] = await Promise.all([
+    findSurveyForm(formId),
+    prisma.surveyAnswer.findMany({
+      where: { survey: where, question: { form_id: formId } },
+      select: { question_id: true, option_ids: true, scale_value: true }
+    })
+  ]);
+
+  if (!form) {
+    return [];
+  }
+
+  return form.questions.map(question => {
+    const questionAnswers = answers.filter(answer => answer.question_id === question.id);
+    const answered = questionAnswers.length;
+    const stats = { question_id: question.id, key: question.key, type: question.type, prompt: question.prompt, answered };
+
+    if (question.type === 'FREE_TEXT') {
+      return stats;
+    }
+
+    if (question.type === 'SCALE') {
+      const values = questionAnswers.map(answer => answer.scale_value);
+      const distribution = [];
+      for (let value = question.scale_min; value <= question.scale_max; value += 1) {
+        const count = values.filter(candidate => candidate === value).length;
+        distribution.push({ answer: value, count, percentage: rate(count, answered) });
+      }
+      const average = answered ? Math.round(values.reduce((sum, value) => sum + value, 0) / answered * 100) / 100 : null;
+      return { ...stats, average, distribution };
+    }
+
+    return {
+      ...stats,
+      distribution: question.options.map(option => {
+        const count = questionAnswers.filter(answer => answer.option_ids.includes(option.id)).length;
+        return { option_id: option.id, answer: option.label, count, percentage: rate(count, answered) };
+      })
+    };
+  });
+};
+
+// Conversion des répondants (un par email) : compte créé après leur premier sondage,
+// et inscription à un cours après ce même sondage. Les répondants déjà inscrits sur la plateforme
+// au moment du sondage sont comptés à part et ne comptent pas comme inscriptions converties.
+export const getSurveyConversion = async (where) => {
+  const surveys = await prisma.survey.findMany({
+    where,
+    select: { email: true, created_at: true },
+    orderBy: { created_at: 'asc' }
+  });
+
+  const firstSurveyAt = new Map();
+  for (const survey of surveys) {
+    const email = survey.email.toLowerCase();
+    if (!firstSurveyAt.has(email)) {
+      firstSurveyAt.set(email, survey.created_at);
+    }
+  }
+
+  const users = await prisma.user.findMany({
+    where: { email: { in: [...firstSurveyAt.keys()], mode: 'insensitive' } },
+    select: {
+      id: true,
+      email: true,
+      created_at: true,
+      enrollments: {
+        select: { enrolled_at: true }
+      }
+    }
+  });
+
+  let alreadyRegistered = 0;
+  let registered = 0;
+  let enrolled = 0;
+
+  for (const user of users) {
+    const surveyedAt = firstSurveyAt.get(user.email.toLowerCase());
+    if (!surveyedAt) {
+      continue;
+    }
+
+    if (user.created_at < surveyedAt) {
+      alreadyRegistered += 1;
+    } else {
+      registered += 1;
+    }
+
+    if (user.enrollments.some(enrollment => enrollment.enrolled_at >= surveyedAt)) {
+      enrolled += 1;
+    }
+  }
+
+  const respondents = firstSurveyAt.size;
+
+  return {
+    respondents,
+    already_registered: alreadyRegistered,
+    registered_after_survey: registered,
+    enrolled_after_survey: enrolled,
+    registration_rate: rate(registered, respondents - alreadyRegistered),
+    enrollment_rate: rate(enrolled, respondents)
+  };
+};
+
+// Échappement CSV ; une cellule commençant par = + - @, une tabulation ou un retour chariot
+// est préfixée d'une apostrophe pour qu'un tableur ne l'interprète pas comme une formule
+const csvCell = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Le BOM permet à Excel de lire correctement les accents.
+// Avec un questionnaire, chaque question a sa colonne (sa key, ou son id) à la place des colonnes historiques.
+export const surveysToCsv = (surveys, form = null) => {
+  const questions = form?.questions ?? [];
+  const header = form
+    ? [...BASE_CSV_COLUMNS, ...questions.map(question => question.key || `question_${question.id}`)]
+    : CSV_COLUMNS;
+
+  const rowOf = (survey) => {
+    if (!form) {
+      return CSV_COLUMNS.map(column => survey[column]);
+    }
+
+    const values = new Map(formatSurveyAnswers({ ...survey, form }).map(answer => [answer.question_id, answer.value]));
+    return [
+      ...BASE_CSV_COLUMNS.map(column => survey[column]),
+      ...questions.map(question => {
+        const value = values.get(question.id);
+        return Array.isArray(value) ? value.join(', ') : value;
+      })
+    ];
+  };
+
+  const lines = [
+    header.join(','),
+    ...surveys.map(survey => rowOf(survey).map(csvCell).join(','))
+  ];
+
+  return `\uFEFF${lines.join('\r\n')}\r\n`;
+};
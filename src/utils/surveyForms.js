@@ -0,0 +1,253 @@
+import { PrismaClient } from '@prisma/client';
+import { config } from 'dotenv';
+
+config();
+
+const prisma = new PrismaClient();
+
+const surveyError = (message, statusCode, errors) => Object.assign(new Error(message), { statusCode, errors });
+
+// Colonnes de l'ancien sondage fixe, avec l'intitulé affiché pour les réponses antérieures aux questionnaires
+export const LEGACY_SURVEY_FIELDS = [
+  { key: 'learning_goal', prompt: "Domaine d'intérêt" },
+  { key: 'motivation', prompt: 'Motivation' },
+  { key: 'skill_level', prompt: 'Niveau actuel' },
+  { key: 'usage_goal', prompt: "Objectif d'utilisation" },
+  { key: 'value_range', prompt: "Besoin d'un mentor" }
+];
+
+const LEGACY_KEYS = LEGACY_SURVEY_FIELDS.map(field => field.key);
+
+export const surveyFormInclude = {
+  questions: {
+    include: {
+      options: { orderBy: { position: 'asc' } }
+    },
+    orderBy: { position: 'asc' }
+  }
+};
+
+export const findSurveyForm = (formId) => {
+  return prisma.surveyForm.findUnique({ where: { id: formId }, include: surveyFormInclude });
+};
+
+export const findActiveSurveyForm = () => {
+  return prisma.surveyForm.findFirst({ where: { is_active: true }, include: surveyFormInclude });
+};
+
+// Crée un questionnaire ou le remplace en bloc. Les questions d'un questionnaire qui a déjà
+// des réponses ne changent plus, pour que ces réponses restent lisibles : il faut en créer un nouveau.
+export const saveSurveyForm = async ({ formId = null, title, description, questions }) => {
+  return prisma.$transaction(async (tx) => {
+    if (formId && questions) {
+      const responses = await tx.survey.count({ where: { form_id: formId } });
+      if (responses > 0) {
+        throw surveyError('This survey already has responses, its questions can no longer change', 409);
+      }
+    }
+
+    const form = formId
+      ? await tx.surveyForm.update({ where: { id: formId }, data: { title, description } })
+      : await tx.surveyForm.create({ data: { title, description } });
+
+    if (questions) {
+      await tx.surveyQuestion.deleteMany({ where: { form_id: form.id } });
+
+      for (const [position, question] of questions.entries()) {
+        const isChoice = question.type === 'SINGLE_CHOICE' || question.type === 'MULTIPLE_CHOICE';
+
+        await tx.surveyQuestion.create({
+          data: {
+            form_id: form.id,
+            key: question.key ?? null,
+            type: question.type,
+            prompt: question.prompt,
+            required: question.required,
+            position,
+            scale_min: question.type === 'SCALE' ? question.scale_min : null,
+            scale_max: question.type === 'SCALE' ? question.scale_max : null,
+            options: isChoice
+              ? { create: question.options.map((label, index) => ({ label, position: index })) }
+              : undefined
+          }
+        });
+      }
+    }
+
+    return tx.surveyForm.findUnique({ where: { id: form.id }, include: surveyFormInclude });
+  });
+};
+
+// Un seul questionnaire actif à la fois
+export const activateSurveyForm = async (formId) => {
+  return prisma.$transaction(async (tx) => {
+    const questions = await tx.surveyQuestion.count({ where: { form_id: formId } });
+    if (questions === 0) {
+      throw surveyError('A survey needs at least one question to be activated', 409);
+    }
+
+    await tx.surveyForm.updateMany({ where: { is_active: true, id: { not: formId } }, data: { is_active: false } });
+
+    return tx.surveyForm.update({ where: { id: formId }, data: { is_active: true }, include: surveyFormInclude });
+  });
+};
+
+// Anciens clients qui envoient encore les cinq champs fixes : chaque champ répond à la question de même key
+export const answersFromLegacyFields = (form, body) => {
+  return form.questions
+    .filter(question => question.key && body[question.key] !== undefined)
+    .map(question => {
+      const value = body[question.key];
+
+      if (question.type === 'FREE_TEXT') {
+        return { question_id: question.id, text: value };
+      }
+
+      if (question.type === 'SCALE') {
+        return { question_id: question.id, value: Number(value) };
+      }
+
+      const option = question.options.find(candidate => candidate.label.toLowerCase() === String(value).toLowerCase());
+      return { question_id: question.id, option_ids: option ? [option.id] : [] };
+    });
+};
+
+const validateAnswer = (question, answer) => {
+  switch (question.type) {
+    case 'SINGLE_CHOICE':
+    case 'MULTIPLE_CHOICE': {
+      const optionIds = answer.option_ids || [];
+      const validIds = new Set(question.options.map(option => option.id));
+
+      if (question.type === 'SINGLE_CHOICE' ? optionIds.length !== 1 : optionIds.length === 0) {
+        return question.type === 'SINGLE_CHOICE' ? 'Select exactly one option' : 'Select at least one option';
+      }
+      if (new Set(optionIds).size !== optionIds.length || optionIds.some(optionId => !validIds.has(optionId))) {
+        return 'Unknown or repeated option';
+      }
+      return null;
+    }
+    case 'FREE_TEXT':
+      return typeof answer.text === 'string' && answer.text.trim() ? null : 'An answer is required';
+    case 'SCALE':
+      return Number.isInteger(answer.value) && answer.value >= question.scale_min && answer.value <= question.scale_max
+        ? null
+        : `Choose a whole number between ${question.scale_min} and ${question.scale_max}`;
+    default:
+      return 'Unsupported question type';
+  }
+};
+
+// Vérifie les réponses envoyées contre le questionnaire ; toutes les erreurs sont renvoyées ensemble
+export const validateSurveyAnswers = (form, answers) => {
+  const questionsById = new Map(form.questions.map(question => [question.id, question]));
+  const answered = new Set();
+  const errors = [];
+
+  answers.forEach((answer, index) => {
+    const question = questionsById.get(answer.question_id);
+    const field = `answers.${index}`;
+
+    if (!question) {
+      errors.push({ location: 'body', field, message: `Question ${answer.question_id} does not belong to this survey` });
+      return;
+    }
+    if (answered.has(question.id)) {
+      errors.push({ location: 'body', field, message: `Question ${question.id} is answered twice` });
+      return;
+    }
+    answered.add(question.id);
+
+    const message = validateAnswer(question, answer);
+    if (message) {
+      errors.push({ location: 'body', field, message });
+    }
+  });
+
+  for (const question of form.questions) {
+    if (question.required && !answered.has(question.id)) {
+      errors.push({ location: 'body', field: 'answers', message: `Question ${question.id} is required` });
+    }
+  }
+
+  if (errors.length) {
+    throw surveyError('Validation failed', 400, errors);
+  }
+};
+
+// Réponse lisible : libellés des options choisies, texte ou valeur de l'échelle
+const answerValue = (question, answer) => {
+  if (question.type === 'FREE_TEXT') {
+    return answer.text;
+  }
+  if (question.type === 'SCALE') {
+    return answer.scale_value;
+  }
+
+  const labels = question.options.filter(option => answer.option_ids.includes(option.id)).map(option => option.label);
+  return question.type === 'SINGLE_CHOICE' ? labels[0] ?? null : labels;
+};
+
+// Enregistre la réponse au questionnaire, question par question. Les questions portant une key
+// historique remplissent aussi la colonne de Survey correspondante (recommandations, statistiques).
+export const submitSurveyResponse = async ({ form, email, userId, answers }) => {
+  validateSurveyAnswers(form, answers);
+
+  const questionsById = new Map(form.questions.map(question => [question.id, question]));
+  const rows = answers.map(answer => ({
+    question_id: answer.question_id,
+    option_ids: answer.option_ids || [],
+    text: questionsById.get(answer.question_id).type === 'FREE_TEXT' ? answer.text.trim() : null,
+    scale_value: questionsById.get(answer.question_id).type === 'SCALE' ? answer.value : null
+  }));
+
+  const legacyColumns = {};
+  for (const row of rows) {
+    const question = questionsById.get(row.question_id);
+    if (LEGACY_KEYS.includes(question.key)) {
+      const value = answerValue(question, row);
+      legacyColumns[question.key] = Array.isArray(value) ? value.join(', ') : String(value);
+    }
+  }
+
+  return prisma.survey.create({
+    data: {
+      email,
+      user_id: userId,
+      form_id: form.id,
+      ...legacyColumns,
+      answers: { create: rows }
+    },
+    include: {
+      form: { include: surveyFormInclude },
+      answers: true
+    }
+  });
+};
+
+// Réponses d'un sondage sous une forme commune aux anciens sondages fixes et aux questionnaires.
+// Le sondage doit inclure form (avec surveyFormInclude) et answers.
+export const formatSurveyAnswers = (survey) => {
+  if (!survey.form_id) {
+    return LEGACY_SURVEY_FIELDS.map(({ key, prompt }) => ({
+      question_id: null,
+      key,
+      type: 'FREE_TEXT',
+      prompt,
+      value: survey[key] ?? null
+    }));
+  }
+
+  const answersByQuestion = new Map(survey.answers.map(answer => [answer.question_id, answer]));
+
+  return survey.form.questions.map(question => {
+    const answer = answersByQuestion.get(question.id);
+    return {
+      question_id: question.id,
+      key: question.key,
+      type: question.type,
+      prompt: question.prompt,
+      value: answer ? answerValue(question, answer) : null
+    };
+  });
+};
@@ -1,90 +1,197 @@
 import { config } from 'dotenv';
 import jwt from 'jsonwebtoken';
 import { errorResponse } from './apiResponses.js';
-import Mailjet from 'node-mailjet';
+import crypto from 'crypto';
+import { PrismaClient } from '@prisma/client';
+import { sendEmail } from '../email/index.js';
 
 config();
 
+const prisma = new PrismaClient();
 const JWT_SECRET = process.env.JWT_SECRET;
+const EMAIL_VERIFICATION_PURPOSE = 'email_verification';
 
-//config mailjet
-const mailjet = Mailjet.apiConnect(
-  process.env.MAILJET_API_KEY,
-  process.env.MAILJET_API_SECRET
-);
+export const generateToken = (user, sessionId) => {
+  return jwt.sign(
+    { id: user.id, email: user.email, role: user.role, sid: sessionId },
+    JWT_SECRET,
+    { expiresIn: process.env.ACCESS_TOKEN_TTL || '15m' }
+  );
+};
+
+// Lien signé de vérification d'email : lié à l'adresse, il devient invalide si l'email change
+export const generateEmailVerificationToken = (user) => {
+  return jwt.sign({ sub: String(user.id), email: user.email, purpose: EMAIL_VERIFICATION_PURPOSE }, JWT_SECRET, { expiresIn: '24h' });
+};
+
+export const verifyEmailVerificationToken = (token) => {
+  const decoded = jwt.verify(token, JWT_SECRET);
+  if (decoded.purpose !== EMAIL_VERIFICATION_PURPOSE) {
+    throw new Error('Invalid verification token');
+  }
+  return { userId: parseInt(decoded.sub), email: decoded.email };
+};
+
+// Jeton aléatoire à usage unique (reset de mot de passe, etc.) : seul le hash est stocké en base
+export const generateRandomToken = () => crypto.randomBytes(32).toString('hex');
+
+export const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
 
+const authError = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+// Une suspension avec date de fin est levée automatiquement une fois la date passée
+export const isSuspensionActive = (user) => {
+  return Boolean(user.is_suspended) && (!user.suspended_until || user.suspended_until > new Date());
+};
+
+// Remet à zéro une suspension expirée ; renvoie true si le compte est toujours suspendu
+export const checkSuspension = async (user) => {
+  if (!user.is_suspended) {
+    return false;
+  }
+
+  if (isSuspensionActive(user)) {
+    return true;
+  }
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { is_suspended: false, suspension_reason: null, suspended_until: null }
+  });
 
-export const generateToken = (user) => {
-  return jwt.sign({ id: user.id, email: user.email, role: user.role }, JWT_SECRET, { expiresIn: '1h' });
+  return false;
 };
 
-export const authMiddleware = (req, res, next) => {
+export const suspensionMessage = (user) => {
+  const until = user.suspended_until ? ` until ${user.suspended_until.toISOString()}` : '';
+  const reason = user.suspension_reason ? `: ${user.suspension_reason}` : '';
+  return `Account suspended${until}${reason}`;
+};
+
+// Vérifie le jeton d'accès et sa session ; le résultat est mis en cache sur req.auth
+// pour que les middlewares de rôle chaînés après authMiddleware ne refassent pas la requête
+const authenticateRequest = async (req) => {
+  if (req.auth) {
+    return req.auth;
+  }
+
   const token = req.headers['authorization']?.split(' ')[1];
 
   if (!token) {
-    return errorResponse(res, 'No token provided', 403);
+    throw authError('No token provided', 403);
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, JWT_SECRET);
+  } catch (err) {
+    throw authError('Failed to authenticate token', 401);
+  }
+
+  // Les jetons à usage spécifique (vérification d'email...) ne sont pas des jetons d'accès
+  if (decoded.purpose || !decoded.sid) {
+    throw authError('Failed to authenticate token', 401);
   }
 
-  jwt.verify(token, JWT_SECRET, (err, decoded) => {
-    if (err) {
-      return errorResponse(res, 'Failed to authenticate token', 401);
+  const session = await prisma.session.findUnique({
+    where: { id: decoded.sid },
+    include: {
+      user: {
+        select: { id: true, role: true, is_suspended: true, suspension_reason: true, suspended_until: true }
+      }
     }
-    req.userId = decoded.id;
-    next();
   });
+
+  if (!session || session.revoked_at || session.user_id !== decoded.id) {
+    throw authError('Session has been revoked', 401);
+  }
+
+  if (await checkSuspension(session.user)) {
+    throw authError(suspensionMessage(session.user), 403);
+  }
+
+  // Le rôle est relu en base : une rétrogradation prend effet immédiatement
+  req.auth = { userId: session.user.id, role: session.user.role, sessionId: session.id };
+  req.userId = req.auth.userId;
+  return req.auth;
 };
 
-export const mentorAdminMiddleware = (req, res, next) => {
-  const token = req.headers['authorization']?.split(' ')[1];
-  jwt.verify(token, JWT_SECRET, (err, decoded) => {
-    if (err) {
-      return errorResponse(res, 'Failed to authenticate token', 401);
-    }
-    if (decoded.role === 'MENTOR' || decoded.role === 'ADMIN') {
-      next();
-    } else {
-      return errorResponse(res, 'Access denied. Mentor or Admin role required.', 403);
+const roleMiddleware = (roles, deniedMessage) => async (req, res, next) => {
+  try {
+    const auth = await authenticateRequest(req);
+    if (!roles.includes(auth.role)) {
+      return errorResponse(res, deniedMessage, 403);
     }
+    next();
+  } catch (error) {
+    errorResponse(res, error.message, error.statusCode || 500);
+  }
+};
 
-  });
+export const authMiddleware = async (req, res, next) => {
+  try {
+    await authenticateRequest(req);
+    next();
+  } catch (error) {
+    errorResponse(res, error.message, error.statusCode || 500);
+  }
 };
 
-export const AdminMiddleware = (req, res, next) => {
-  const token = req.headers['authorization']?.split(' ')[1];
-  jwt.verify(token, JWT_SECRET, (err, decoded) => {
-    if (err) {
-      return errorResponse(res, 'Failed to authenticate token', 401);
+// Routes publiques dont la réponse dépend de l'utilisateur connecté : sans jeton, la requête reste anonyme
+export const optionalAuthMiddleware = async (req, res, next) => {
+  if (!req.headers['authorization']) {
+    return next();
+  }
+
+  try {
+    await authenticateRequest(req);
+    next();
+  } catch (error) {
+    errorResponse(res, error.message, error.statusCode || 500);
+  }
+};
+
+// A utiliser après authMiddleware sur les routes qui exigent un email vérifié
+export const verifiedEmailMiddleware = async (req, res, next) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.userId },
+      select: { email_verified_at: true }
+    });
+
+    if (!user) {
+      return errorResponse(res, 'User not found', 404);
     }
-    if (decoded.role === 'ADMIN') {
-      next();
-    } else {
-      return errorResponse(res, 'Access denied. Admin role required.', 403);
+
+    if (!user.email_verified_at) {
+      return errorResponse(res, 'Please verify your email address before continuing', 403);
     }
 
-  });
+    next();
+  } catch (error) {
+    errorResponse(res, 'Failed to check email verification', 500, error);
+  }
 };
 
+// Routes /cron : appelées par Vercel Cron avec "Authorization: Bearer <CRON_SECRET>"
+export const cronMiddleware = (req, res, next) => {
+  const token = req.headers['authorization']?.split(' ')[1];
+
+  if (!process.env.CRON_SECRET || token !== process.env.CRON_SECRET) {
+    return errorResponse(res, 'Invalid cron secret', 401);
+  }
+
+  next();
+};
+
+export const mentorAdminMiddleware = roleMiddleware(['MENTOR', 'ADMIN'], 'Access denied. Mentor or Admin role required.');
+
+export const AdminMiddleware = roleMiddleware(['ADMIN'], 'Access denied. Admin role required.');
+
+// Les emails passent par la file d'envoi (src/email) : une panne du fournisseur
+// ne fait plus échouer la requête, le worker réessaie plus tard
 export const SendEmail = async (args) => {
-  const { mail, name, subject, HTMLPart } = args
-  // Envoyer un e-mail de confirmation
-  await mailjet
-    .post('send', { version: 'v3.1' })
-    .request({
-      Messages: [
-        {
-          From: {
-            Email: "birotori@gmail.com",
-            Name: "AI Boost"
-          },
-          To: [
-            {
-              Email: mail,
-              Name: name
-            }
-          ],
-          Subject: subject,
-          HTMLPart: HTMLPart
-        }
-      ]
-    });
+  const { mail, name, subject, HTMLPart, sensitive } = args
+
+  return sendEmail({ to: mail, name, subject, html: HTMLPart, sensitive });
 }
\ No newline at end of file
@@ -0,0 +1,227 @@
+import { z } from 'zod';
+import { id, idParams, email, password, nonEmptyString, booleanLike, pagination, userRole } from './common.js';
+
+export const userIdParams = { params: idParams('userId') };
+
+export const createUserSchema = {
+  body: z.object({
+    email,
+    password,
+    username: z.string().trim().min(3).max(30),
+    full_name: nonEmptyString,
+    role: userRole.default('USER')
+  })
+};
+
+export const updateUserSchema = {
+  params: idParams('userId'),
+  body: z.object({
+    email: email.optional(),
+    full_name: nonEmptyString.optional(),
+    username: z.string().trim().min(3).max(30).optional(),
+    role: userRole.optional(),
+    password: password.optional()
+  })
+};
+
+export const updateSubmissionSchema = {
+  params: idParams('submissionId'),
+  body: z.object({
+    status: z.enum(['PENDING', 'REVIEWING', 'NEEDS_REVISION', 'ACCEPTED', 'REJECTED']).optional(),
+    mentor_comment: z.string().trim().min(1).optional()
+  }).refine(body => body.status || body.mentor_comment, {
+    message: 'Provide a status, a mentor_comment or both'
+  })
+};
+
+export const submissionIdParams = { params: idParams('submissionId') };
+
+export const suspendUserSchema = {
+  params: idParams('userId'),
+  body: z.object({
+    is_suspended: booleanLike,
+    reason: z.string().trim().max(500).optional(),
+    suspended_until: z.string().datetime({ offset: true }).optional()
+  })
+};
+
+export const enrollUserSchema = {
+  params: idParams('userId'),
+  body: z.object({
+    course_id: id,
+    expires_at: z.string().datetime({ offset: true }).optional()
+  })
+};
+
+export const paginationSchema = {
+  query: pagination
+};
+
+export const listOrdersSchema = {
+  query: pagination.extend({
+    status: z.enum(['PENDING', 'PAID', 'FAILED', 'REFUNDED']).optional(),
+    user_id: id.optional(),
+    course_id: id.optional()
+  })
+};
+
+export const orderIdParams = { params: idParams('orderId') };
+
+const couponFields = {
+  code: z.string().trim().min(3).max(50).regex(/^[A-Za-z0-9_-]+$/, 'Use letters, digits, "-" and "_" only'),
+  description: z.string().trim().max(500).nullable(),
+  type: z.enum(['PERCENTAGE', 'FIXED']),
+  value: z.coerce.number().positive(),
+  course_id: id.nullable(),
+  expires_at: z.string().datetime({ offset: true }).nullable(),
+  max_uses: z.coerce.number().int().positive().nullable(),
+  max_uses_per_user: z.coerce.number().int().positive().nullable(),
+  is_active: booleanLike
+};
+
+const percentageWithinRange = (body) => body.type !== 'PERCENTAGE' || body.value === undefined || body.value <= 100;
+
+export const createCouponSchema = {
+  body: z.object({
+    ...couponFields,
+    description: couponFields.description.optional(),
+    course_id: couponFields.course_id.optional(),
+    expires_at: couponFields.expires_at.optional(),
+    max_uses: couponFields.max_uses.optional(),
+    max_uses_per_user: couponFields.max_uses_per_user.optional(),
+    is_active: couponFields.is_active.optional()
+  }).refine(percentageWithinRange, { message: 'A percentage discount cannot exceed 100', path: ['value'] })
+};
+
+export const couponIdParams = { params: idParams('couponId') };
+
+export const updateCouponSchema = {
+  params: idParams('couponId'),
+  body: z.object(couponFields).partial()
+};
+
+export const listCouponsSchema = {
+  query: pagination.extend({
+    course_id: id.optional(),
+    is_active: booleanLike.optional()
+  })
+};
+
+export const listCertificatesSchema = {
+  query: pagination.extend({
+    user_id: id.optional(),
+    course_id: id.optional(),
+    revoked: booleanLike.optional()
+  })
+};
+
+export const revokeCertificateSchema = {
+  params: idParams('certificateId'),
+  body: z.object({
+    reason: z.string().trim().min(1).max(500)
+  })
+};
+
+export const listCoursesSchema = {
+  query: pagination.extend({
+    status: z.enum(['DRAFT', 'SCHEDULED', 'PUBLISHED', 'ARCHIVED']).optional()
+  })
+};
+
+// Filtres communs à la liste, aux statistiques et à l'export des sondages (from inclus, to exclu)
+const surveyFilters = {
+  from: z.coerce.date().optional(),
+  to: z.coerce.date().optional(),
+  email: z.string().trim().min(1).optional(),
+  user_id: id.optional(),
+  form_id: id.optional(),
+  registered: booleanLike.optional(),
+  learning_goal: nonEmptyString.optional(),
+  motivation: nonEmptyString.optional(),
+  skill_level: nonEmptyString.optional(),
+  usage_goal: nonEmptyString.optional(),
+  value_range: nonEmptyString.optional()
+};
+
+const dateRange = (query) => !query.from || !query.to || query.from < query.to;
+const dateRangeMessage = { message: 'from must be before to', path: ['from'] };
+
+export const listSurveysSchema = {
+  query: pagination.extend(surveyFilters).refine(dateRange, dateRangeMessage)
+};
+
+export const surveyFiltersSchema = {
+  query: z.object(surveyFilters).refine(dateRange, dateRangeMessage)
+};
+
+const questionFields = {
+  key: z.string().trim().regex(/^[a-z][a-z0-9_]*$/, 'Use lowercase letters, digits and "_" only').max(50).optional(),
+  prompt: nonEmptyString,
+  required: booleanLike.default(true)
+};
+
+const choiceOptions = z.array(nonEmptyString).min(2);
+
+const surveyQuestion = z.discriminatedUnion('type', [
+  z.object({ ...questionFields, type: z.literal('SINGLE_CHOICE'), options: choiceOptions }),
+  z.object({ ...questionFields, type: z.literal('MULTIPLE_CHOICE'), options: choiceOptions }),
+  z.object({ ...questionFields, type: z.literal('FREE_TEXT') }),
+  z.object({
+    ...questionFields,
+    type: z.literal('SCALE'),
+    scale_min: z.coerce.number().int().default(1),
+    scale_max: z.coerce.number().int().default(5)
+  })
+]);
+
+// Échelle croissante et keys uniques dans le questionnaire
+const checkSurveyQuestions = (body, ctx) => {
+  const keys = new Set();
+
+  body.questions?.forEach((question, index) => {
+    if (question.type === 'SCALE' && question.scale_min >= question.scale_max) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message: 'scale_min must be lower than scale_max',
+        path: ['questions', index, 'scale_max']
+      });
+    }
+
+    if (question.key && keys.has(question.key)) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message: `Key ${question.key} is used by several questions`,
+        path: ['questions', index, 'key']
+      });
+    }
+    keys.add(question.key);
+  });
+};
+
+export const surveyFormIdParams = { params: idParams('formId') };
+
+export const createSurveyFormSchema = {
+  body: z.object({
+    title: nonEmptyString,
+    description: z.string().trim().max(2000).nullable().optional(),
+    questions: z.array(surveyQuestion).min(1)
+  }).superRefine(checkSurveyQuestions)
+};
+
+export const updateSurveyFormSchema = {
+  params: idParams('formId'),
+  body: z.object({
+    title: nonEmptyString.optional(),
+    description: z.string().trim().max(2000).nullable().optional(),
+    questions: z.array(surveyQuestion).min(1).optional()
+  }).superRefine(checkSurveyQuestions)
+};
+
+export const listEmailsSchema = {
+  query: pagination.extend({
+    status: z.enum(['PENDING', 'SENDING', 'SENT', 'FAILED']).optional(),
+    to_email: z.string().trim().min(1).optional()
+  })
+};
+
+export const emailIdParams = { params: idParams('emailId') };
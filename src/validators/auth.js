@@ -0,0 +1,72 @@
+import { z } from 'zod';
+import { id, email, password, nonEmptyString } from './common.js';
+
+export const registerSchema = {
+  body: z.object({
+    email,
+    password,
+    username: z.string().trim().min(3).max(30),
+    full_name: nonEmptyString
+  })
+};
+
+export const loginSchema = {
+  body: z.object({
+    email,
+    password: nonEmptyString
+  })
+};
+
+export const refreshTokenSchema = {
+  body: z.object({
+    refreshToken: nonEmptyString
+  })
+};
+
+export const verifyEmailSchema = {
+  body: z.object({
+    token: nonEmptyString
+  })
+};
+
+export const forgotPasswordSchema = {
+  body: z.object({
+    email
+  })
+};
+
+export const resetPasswordSchema = {
+  body: z.object({
+    token: nonEmptyString,
+    password
+  })
+};
+
+export const unlockAccountSchema = {
+  body: z.object({
+    token: nonEmptyString
+  })
+};
+
+export const getUserSchema = {
+  params: z.object({ id })
+};
+
+// Profil modifié par son titulaire : le rôle ne se change que par PUT /admin/users/:userId
+export const updateUserSchema = {
+  params: z.object({ userId: id }),
+  body: z.object({
+    email: email.optional(),
+    full_name: nonEmptyString.optional(),
+    username: z.string().trim().min(3).max(30).optional(),
+    password: password.optional()
+  })
+};
+
+export const notificationPreferencesSchema = {
+  body: z.object({
+    SUBMISSION_REVIEWED: z.boolean().optional(),
+    SUBMISSION_ASSIGNED: z.boolean().optional(),
+    CHAPTER_UNLOCKED: z.boolean().optional()
+  }).strict()
+};
@@ -0,0 +1,7 @@
+import { z } from 'zod';
+
+export const certificateCodeParams = {
+  params: z.object({
+    code: z.string().trim().toUpperCase().regex(/^CERT-[0-9A-F]{4}-[0-9A-F]{4}-[0-9A-F]{4}$/, 'Invalid certificate code')
+  })
+};
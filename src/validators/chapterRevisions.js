@@ -0,0 +1,18 @@
+import { z } from 'zod';
+import { idParams } from './common.js';
+
+const version = z.coerce.number().int().positive();
+
+export const revisionListSchema = { params: idParams('courseId', 'chapterId') };
+
+export const revisionParams = {
+  params: idParams('courseId', 'chapterId').extend({ version })
+};
+
+export const revisionDiffSchema = {
+  params: idParams('courseId', 'chapterId'),
+  query: z.object({
+    from: version,
+    to: version.optional()
+  })
+};
@@ -0,0 +1,41 @@
+import { z } from 'zod';
+
+// Identifiant numérique venant d'un paramètre d'URL ou d'un champ multipart
+export const id = z.coerce.number().int().positive();
+
+export const idParams = (...names) => z.object(Object.fromEntries(names.map(name => [name, id])));
+
+export const email = z.string().trim().email();
+
+export const password = z.string().min(8, 'Password must contain at least 8 characters');
+
+export const nonEmptyString = z.string().trim().min(1, 'Required');
+
+// Booléen envoyé en JSON ou sous forme de chaîne ("true"/"false") en multipart ou en query
+export const booleanLike = z.union([
+  z.boolean(),
+  z.enum(['true', 'false']).transform(value => value === 'true')
+]);
+
+// Liste d'identifiants envoyée en tableau JSON, en chaîne JSON (multipart) ou en "1,2,3" (query)
+export const idList = z.preprocess((value) => {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  const trimmed = value.trim();
+  if (trimmed.startsWith('[')) {
+    try {
+      return JSON.parse(trimmed);
+    } catch (error) {
+      return value;
+    }
+  }
+  return trimmed ? trimmed.split(',') : [];
+}, z.array(id, { invalid_type_error: 'Expected a list of ids' }));
+
+export const pagination = z.object({
+  page: z.coerce.number().int().positive().default(1),
+  limit: z.coerce.number().int().positive().max(100).default(10)
+});
+
+export const userRole = z.enum(['USER', 'MENTOR', 'ADMIN']);
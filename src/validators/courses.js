@@ -0,0 +1,168 @@
+import { z } from 'zod';
+import { id, idParams, idList, nonEmptyString, booleanLike, pagination } from './common.js';
+
+const price = z.coerce.number().nonnegative();
+
+// Durée en minutes ; à défaut, elle est tirée du libellé duration
+const durationMinutes = z.coerce.number().int().positive();
+
+export const courseIdParams = { params: idParams('courseId') };
+
+export const chapterParams = { params: idParams('courseId', 'chapterId') };
+
+export const getCourseSchema = { params: idParams('id') };
+
+export const createCourseSchema = {
+  body: z.object({
+    title: nonEmptyString,
+    description: nonEmptyString,
+    price: price.optional(),
+    category_id: id,
+    duration: nonEmptyString,
+    duration_minutes: durationMinutes.optional(),
+    tags: idList.default([]),
+    sequential: booleanLike.default(false)
+  })
+};
+
+export const updateCourseSchema = {
+  params: idParams('courseId'),
+  body: z.object({
+    title: nonEmptyString.optional(),
+    description: nonEmptyString.optional(),
+    price: price.optional(),
+    category_id: id.optional(),
+    duration: nonEmptyString.optional(),
+    duration_minutes: durationMinutes.optional(),
+    tags: idList.optional(),
+    sequential: booleanLike.optional()
+  })
+};
+
+export const publishCourseSchema = {
+  params: idParams('courseId'),
+  body: z.object({
+    publish_at: z.string().datetime({ offset: true }).optional()
+  })
+};
+
+export const nameSchema = {
+  body: z.object({
+    name: nonEmptyString
+  })
+};
+
+// Bornes d'un intervalle de filtre : min ne peut pas dépasser max
+const orderedRange = (min, max) => ({
+  check: (query) => query[min] === undefined || query[max] === undefined || query[min] <= query[max],
+  message: { message: `${min} must not exceed ${max}`, path: [min] }
+});
+
+const priceRange = orderedRange('min_price', 'max_price');
+const durationRange = orderedRange('min_duration', 'max_duration');
+
+export const listCoursesSchema = {
+  query: pagination.extend({
+    cursor: id.optional(),
+    sort: z.enum(['newest', 'popularity', 'price_asc', 'price_desc']).default('newest'),
+    min_price: price.optional(),
+    max_price: price.optional(),
+    min_duration: durationMinutes.optional(),
+    max_duration: durationMinutes.optional()
+  })
+    .refine(priceRange.check, priceRange.message)
+    .refine(durationRange.check, durationRange.message)
+};
+
+export const recommendedCoursesSchema = {
+  query: z.object({
+    limit: z.coerce.number().int().positive().max(20).default(5)
+  })
+};
+
+export const searchCoursesSchema = {
+  query: pagination.extend({
+    query: z.string().trim().max(200).optional(),
+    category: id.optional(),
+    tags: idList.optional(),
+    sort: z.enum(['relevance', 'newest', 'popularity', 'price_asc', 'price_desc']).optional()
+  })
+};
+
+// Le body n'est plus lu : on inscrit toujours l'utilisateur connecté
+export const enrollSchema = {
+  params: idParams('courseId')
+};
+
+export const validateChapterSchema = {
+  params: idParams('courseId'),
+  body: z.object({
+    chapterId: id,
+    studentId: id,
+    score: z.coerce.number().min(0).max(100)
+  })
+};
+
+export const submitLinkSchema = {
+  params: idParams('courseId', 'chapterId'),
+  body: z.object({
+    link: z.string().trim().url()
+  })
+};
+
+export const updateSubmissionSchema = {
+  params: idParams('submissionId'),
+  body: z.object({
+    link: z.string().trim().url()
+  })
+};
+
+export const submissionIdParams = { params: idParams('submissionId') };
+
+export const enrolledProgressSchema = { params: idParams('userId') };
+
+// Règle de publication : date fixe ou N jours après l'inscription, pas les deux
+const releaseAt = z.string().datetime({ offset: true }).nullable();
+const releaseAfterDays = z.coerce.number().int().nonnegative().nullable();
+const singleReleaseRule = (body) => !(body.release_at && body.release_after_days != null);
+const singleReleaseRuleMessage = {
+  message: 'Use either release_at or release_after_days, not both',
+  path: ['release_after_days']
+};
+
+export const createChapterSchema = {
+  params: idParams('courseId'),
+  body: z.object({
+    title: nonEmptyString,
+    content: z.string(),
+    requires_submission: booleanLike.default(false),
+    release_at: releaseAt.optional(),
+    release_after_days: releaseAfterDays.optional()
+  }).refine(singleReleaseRule, singleReleaseRuleMessage)
+};
+
+export const reorderChaptersSchema = {
+  params: idParams('courseId'),
+  body: z.object({
+    chapter_ids: z.array(id).min(1)
+  })
+};
+
+export const updateChapterSchema = {
+  params: idParams('courseId', 'chapterId'),
+  body: z.object({
+    title: nonEmptyString.optional(),
+    content: z.string().optional(),
+    requires_submission: booleanLike.optional(),
+    release_at: releaseAt.optional(),
+    release_after_days: releaseAfterDays.optional()
+  }).refine(singleReleaseRule, singleReleaseRuleMessage)
+};
+
+export const updateProgressSchema = {
+  params: idParams('courseId'),
+  body: z.object({
+    chapterId: id,
+    isCompleted: booleanLike.optional()
+  })
+};
@@ -0,0 +1,31 @@
+import { z } from 'zod';
+import { idParams } from './common.js';
+
+const couponCode = z.string().trim().min(1).max(50);
+
+export const checkoutSchema = {
+  params: idParams('courseId'),
+  body: z.object({
+    coupon_code: couponCode.optional()
+  })
+};
+
+export const quoteSchema = {
+  params: idParams('courseId'),
+  query: z.object({
+    coupon_code: couponCode.optional()
+  })
+};
+
+export const webhookSchema = {
+  params: z.object({
+    provider: z.string().trim().min(1)
+  })
+};
+
+export const fakeOutcomeSchema = {
+  params: z.object({
+    reference: z.string().trim().min(1),
+    outcome: z.enum(['succeeded', 'failed'])
+  })
+};
@@ -0,0 +1,54 @@
+import { z } from 'zod';
+import { id, idParams, nonEmptyString, booleanLike } from './common.js';
+
+const points = z.coerce.number().int().positive().default(1);
+
+const multipleChoiceQuestion = z.object({
+  type: z.literal('MULTIPLE_CHOICE'),
+  prompt: nonEmptyString,
+  points,
+  options: z.array(z.object({
+    label: nonEmptyString,
+    is_correct: booleanLike.default(false)
+  })).min(2)
+});
+
+const shortAnswerQuestion = z.object({
+  type: z.literal('SHORT_ANSWER'),
+  prompt: nonEmptyString,
+  points,
+  accepted_answers: z.array(nonEmptyString).min(1)
+});
+
+export const quizParams = { params: idParams('courseId', 'chapterId') };
+
+export const upsertQuizSchema = {
+  params: idParams('courseId', 'chapterId'),
+  body: z.object({
+    title: nonEmptyString,
+    pass_mark: z.coerce.number().int().min(0).max(100).default(80),
+    max_attempts: z.coerce.number().int().positive().nullable().default(null),
+    questions: z.array(z.discriminatedUnion('type', [multipleChoiceQuestion, shortAnswerQuestion])).min(1)
+  }).superRefine((body, ctx) => {
+    body.questions.forEach((question, index) => {
+      if (question.type === 'MULTIPLE_CHOICE' && !question.options.some(option => option.is_correct)) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          message: 'A multiple-choice question needs at least one correct option',
+          path: ['questions', index, 'options']
+        });
+      }
+    });
+  })
+};
+
+export const submitAttemptSchema = {
+  params: idParams('courseId', 'chapterId'),
+  body: z.object({
+    answers: z.array(z.object({
+      question_id: id,
+      option_ids: z.array(id).optional(),
+      text: z.string().max(1000).optional()
+    })).min(1)
+  })
+};
@@ -0,0 +1,22 @@
+import { z } from 'zod';
+import { id, email } from './common.js';
+
+// Champs de l'ancien sondage fixe, encore acceptés : ils répondent aux questions de même key
+const legacyAnswer = z.string().trim().min(1).max(2000).optional();
+
+export const submitSurveySchema = {
+  body: z.object({
+    email: email.optional(),
+    answers: z.array(z.object({
+      question_id: id,
+      option_ids: z.array(id).optional(),
+      text: z.string().max(2000).optional(),
+      value: z.coerce.number().int().optional()
+    })).optional(),
+    learning_goal: legacyAnswer,
+    motivation: legacyAnswer,
+    skill_level: legacyAnswer,
+    usage_goal: legacyAnswer,
+    value_range: legacyAnswer
+  })
+};
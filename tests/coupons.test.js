@@ -0,0 +1,120 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { fakePrisma } from './helpers/fakePrisma.js';
+import { createCheckout, expirePendingOrders, handlePaymentEvent } from '../src/payments/index.js';
+import { applyCoupon, computeDiscount } from '../src/payments/coupons.js';
+
+const createUser = (email) => fakePrisma.user.create({ data: { email, full_name: email } });
+
+const createCourse = () => fakePrisma.course.create({ data: { title: 'Python', price: 10000, status: 'PUBLISHED' } });
+
+const createCoupon = (data) => fakePrisma.coupon.create({ data: { code: 'WELCOME', type: 'PERCENTAGE', value: 20, ...data } });
+
+const confirmPayment = (order, type = 'payment.succeeded') => handlePaymentEvent('fake', {
+  id: `evt_${order.id}_${type}`,
+  type,
+  reference: order.provider_reference,
+  payload: {}
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('coupon discount', () => {
+  it('applies percentage and fixed discounts without going below zero', () => {
+    expect(computeDiscount({ type: 'PERCENTAGE', value: 20 }, 10000)).toBe(2000);
+    expect(computeDiscount({ type: 'PERCENTAGE', value: 150 }, 10000)).toBe(10000);
+    expect(computeDiscount({ type: 'FIXED', value: 15000 }, 10000)).toBe(10000);
+  });
+
+  it('rejects expired coupons and coupons for another course', async () => {
+    const course = await createCourse();
+    await createCoupon({ code: 'OLD', expires_at: new Date(Date.now() - 1000) });
+    await createCoupon({ code: 'OTHER', course_id: course.id + 1 });
+
+    await expect(applyCoupon({ code: 'old', userId: 1, course })).rejects.toMatchObject({ statusCode: 400 });
+    await expect(applyCoupon({ code: 'OTHER', userId: 1, course })).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
+
+describe('coupon usage caps', () => {
+  it('counts pending checkouts against the per-user cap', async () => {
+    const [user, course] = await Promise.all([createUser('learner@example.com'), createCourse()]);
+    await createCoupon({ max_uses_per_user: 1 });
+
+    const other = await fakePrisma.course.create({ data: { title: 'Java', price: 10000, status: 'PUBLISHED' } });
+
+    const { order } = await createCheckout({ user, course, couponCode: 'welcome' });
+
+    expect(order.amount).toBe(8000);
+    await expect(createCheckout({ user, course: other, couponCode: 'WELCOME' }))
+      .rejects.toMatchObject({ statusCode: 409, message: 'You have already used this coupon' });
+    expect(fakePrisma.rows('order')).toHaveLength(1);
+  });
+
+  it('counts pending checkouts of every user against the global cap', async () => {
+    const course = await createCourse();
+    const users = await Promise.all(['a@example.com', 'b@example.com', 'c@example.com'].map(createUser));
+    await createCoupon({ max_uses: 2 });
+
+    await createCheckout({ user: users[0], course, couponCode: 'WELCOME' });
+    await createCheckout({ user: users[1], course, couponCode: 'WELCOME' });
+
+    await expect(createCheckout({ user: users[2], course, couponCode: 'WELCOME' }))
+      .rejects.toMatchObject({ statusCode: 409, message: 'This coupon has reached its usage limit' });
+  });
+
+  it('still counts an order once it is paid', async () => {
+    const [user, course] = await Promise.all([createUser('learner@example.com'), createCourse()]);
+    await createCoupon({ max_uses_per_user: 1 });
+
+    const { order } = await createCheckout({ user, course, couponCode: 'WELCOME' });
+    await confirmPayment(order);
+
+    expect(fakePrisma.rows('couponRedemption')).toEqual([
+      expect.objectContaining({ order_id: order.id, user_id: user.id, discount_amount: 2000, final_amount: 8000 })
+    ]);
+    await expect(createCheckout({ user, course, couponCode: 'WELCOME' })).rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  it('releases the use of a failed order', async () => {
+    const [user, course] = await Promise.all([createUser('learner@example.com'), createCourse()]);
+    await createCoupon({ max_uses_per_user: 1 });
+
+    const { order } = await createCheckout({ user, course, couponCode: 'WELCOME' });
+    await confirmPayment(order, 'payment.failed');
+
+    await expect(createCheckout({ user, course, couponCode: 'WELCOME' })).resolves.toMatchObject({
+      order: expect.objectContaining({ status: 'PENDING', amount: 8000 })
+    });
+  });
+
+  it('releases the use of an order left pending too long', async () => {
+    const [user, course] = await Promise.all([createUser('learner@example.com'), createCourse()]);
+    await createCoupon({ max_uses_per_user: 1 });
+
+    vi.useFakeTimers({ now: new Date('2026-10-01T10:00:00Z') });
+    const { order } = await createCheckout({ user, course, couponCode: 'WELCOME' });
+
+    vi.setSystemTime(new Date('2026-10-02T11:00:00Z'));
+    expect(await expirePendingOrders()).toBe(1);
+    expect(fakePrisma.rows('order').find(row => row.id === order.id).status).toBe('FAILED');
+
+    await expect(createCheckout({ user, course, couponCode: 'WELCOME' })).resolves.toBeTruthy();
+  });
+
+  it('pays a fully discounted order at checkout and records the redemption', async () => {
+    const [user, course] = await Promise.all([createUser('learner@example.com'), createCourse()]);
+    await createCoupon({ value: 100, max_uses: 1 });
+
+    const { order, checkoutUrl } = await createCheckout({ user, course, couponCode: 'WELCOME' });
+
+    expect(checkoutUrl).toBeNull();
+    expect(order).toMatchObject({ status: 'PAID', amount: 0, provider: 'coupon' });
+    expect(fakePrisma.rows('couponRedemption')).toHaveLength(1);
+    expect(fakePrisma.rows('enrollment')).toEqual([expect.objectContaining({ user_id: user.id, status: 'ACTIVE' })]);
+
+    const other = await createUser('other@example.com');
+    await expect(createCheckout({ user: other, course, couponCode: 'WELCOME' })).rejects.toMatchObject({ statusCode: 409 });
+  });
+});
@@ -0,0 +1,50 @@
+import { describe, it, expect } from 'vitest';
+import { fakePrisma } from './helpers/fakePrisma.js';
+import { enrollUser, expireEnrollments, hasActiveEnrollment } from '../src/utils/enrollments.js';
+
+const seed = async () => {
+  const user = await fakePrisma.user.create({ data: { email: 'learner@example.com', full_name: 'Learner' } });
+  const course = await fakePrisma.course.create({ data: { title: 'Python', price: 0, status: 'PUBLISHED' } });
+
+  return { user, course };
+};
+
+const enrolledCount = () => fakePrisma.rows('course')[0].enrolled_count;
+
+describe('enrollment', () => {
+  it('creates a single enrollment for parallel calls', async () => {
+    const { user, course } = await seed();
+
+    const results = await Promise.all([
+      enrollUser({ userId: user.id, courseId: course.id }),
+      enrollUser({ userId: user.id, courseId: course.id })
+    ]);
+
+    expect(results.map(result => result.created).sort()).toEqual([false, true]);
+    expect(fakePrisma.rows('enrollment')).toHaveLength(1);
+    expect(enrolledCount()).toBe(1);
+  });
+
+  it('expires enrollments past their end date once', async () => {
+    const { user, course } = await seed();
+    await enrollUser({ userId: user.id, courseId: course.id, expiresAt: new Date(Date.now() - 1000) });
+
+    expect(await expireEnrollments()).toBe(1);
+    expect(await expireEnrollments()).toBe(0);
+    expect(fakePrisma.rows('enrollment')[0].status).toBe('EXPIRED');
+    expect(enrolledCount()).toBe(0);
+    expect(await hasActiveEnrollment(user.id, course.id)).toBe(false);
+  });
+
+  it('counts a renewed enrollment again after it expired', async () => {
+    const { user, course } = await seed();
+    await enrollUser({ userId: user.id, courseId: course.id, expiresAt: new Date(Date.now() - 1000) });
+    await expireEnrollments();
+
+    const { created } = await enrollUser({ userId: user.id, courseId: course.id, source: 'ADMIN' });
+
+    expect(created).toBe(true);
+    expect(fakePrisma.rows('enrollment')).toEqual([expect.objectContaining({ status: 'ACTIVE', expires_at: null })]);
+    expect(enrolledCount()).toBe(1);
+  });
+});
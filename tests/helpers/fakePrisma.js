@@ -0,0 +1,314 @@
+import crypto from 'crypto';
+
+// Client Prisma en mémoire pour les tests : il couvre le sous-ensemble de l'API utilisé par le code testé
+// (filtres simples, relations déclarées ci-dessous, contraintes d'unicité, transactions avec annulation).
+
+// Relations suivies par include et par les filtres de relation (is / isNot)
+const RELATIONS = {
+  order: {
+    redemption: { model: 'couponRedemption', local: 'id', foreign: 'order_id', one: true }
+  },
+  session: {
+    user: { model: 'user', local: 'user_id', foreign: 'id', one: true },
+    refresh_tokens: { model: 'refreshToken', local: 'id', foreign: 'session_id' }
+  },
+  refreshToken: {
+    session: { model: 'session', local: 'session_id', foreign: 'id', one: true }
+  }
+};
+
+// Contraintes @unique et @@unique du schéma, par modèle
+const UNIQUES = {
+  order: [['provider', 'provider_reference']],
+  coupon: [['code']],
+  couponRedemption: [['order_id']],
+  paymentEvent: [['provider', 'event_id']],
+  enrollment: [['user_id', 'course_id']],
+  userProgress: [['user_id', 'course_id']],
+  refreshToken: [['token_hash']],
+  user: [['email']]
+};
+
+const DEFAULTS = {
+  order: () => ({ status: 'PENDING', discount_amount: 0, coupon_id: null, provider_reference: null, checkout_url: null }),
+  coupon: () => ({ is_active: true, course_id: null, expires_at: null, max_uses: null, max_uses_per_user: null }),
+  course: () => ({ enrolled_count: 0 }),
+  session: () => ({ revoked_at: null, last_used_at: new Date() }),
+  refreshToken: () => ({ revoked_at: null, replaced_by_id: null }),
+  user: () => ({ role: 'USER', is_suspended: false, suspension_reason: null, suspended_until: null })
+};
+
+// Les sessions ont un id uuid, les autres modèles un id auto-incrémenté
+const UUID_MODELS = new Set(['session']);
+
+const OPERATORS = new Set(['equals', 'in', 'notIn', 'not', 'lt', 'lte', 'gt', 'gte', 'contains', 'has', 'mode']);
+
+const prismaError = (message, code) => Object.assign(new Error(message), { code });
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !(value instanceof Date) && !Array.isArray(value);
+
+const comparable = (value) => value instanceof Date ? value.getTime() : value ?? null;
+
+const sameValue = (a, b) => comparable(a) === comparable(b);
+
+const matchesOperators = (value, condition) => {
+  return Object.entries(condition).every(([operator, operand]) => {
+    if (operand === undefined) {
+      return true;
+    }
+
+    switch (operator) {
+      case 'equals': return sameValue(value, operand);
+      case 'in': return operand.some(candidate => sameValue(value, candidate));
+      case 'notIn': return !operand.some(candidate => sameValue(value, candidate));
+      case 'not': return isPlainObject(operand) ? !matchesOperators(value, operand) : !sameValue(value, operand);
+      case 'lt': return value !== null && value !== undefined && comparable(value) < comparable(operand);
+      case 'lte': return value !== null && value !== undefined && comparable(value) <= comparable(operand);
+      case 'gt': return value !== null && value !== undefined && comparable(value) > comparable(operand);
+      case 'gte': return value !== null && value !== undefined && comparable(value) >= comparable(operand);
+      case 'contains': return String(value ?? '').includes(operand);
+      case 'has': return (value || []).some(item => sameValue(item, operand));
+      default: return true;
+    }
+  });
+};
+
+export const createFakePrisma = () => {
+  let tables = {};
+  let nextId = 1;
+
+  const table = (model) => {
+    tables[model] ??= [];
+    return tables[model];
+  };
+
+  const related = (model, row, name) => {
+    const relation = RELATIONS[model]?.[name];
+    const rows = table(relation.model).filter(candidate => sameValue(candidate[relation.foreign], row[relation.local]));
+    return relation.one ? rows[0] ?? null : rows;
+  };
+
+  const matches = (model, row, where = {}) => {
+    return Object.entries(where).every(([key, condition]) => {
+      if (condition === undefined) {
+        return true;
+      }
+      if (key === 'AND') {
+        return [].concat(condition).every(part => matches(model, row, part));
+      }
+      if (key === 'OR') {
+        return condition.some(part => matches(model, row, part));
+      }
+      if (key === 'NOT') {
+        return !matches(model, row, condition);
+      }
+
+      if (RELATIONS[model]?.[key]) {
+        const target = related(model, row, key);
+        if ('isNot' in condition) {
+          return condition.isNot === null ? target !== null : !matches(RELATIONS[model][key].model, target, condition.isNot);
+        }
+        if ('is' in condition) {
+          return condition.is === null ? target === null : target !== null && matches(RELATIONS[model][key].model, target, condition.is);
+        }
+        return target !== null && matches(RELATIONS[model][key].model, target, condition);
+      }
+
+      if (isPlainObject(condition)) {
+        // Clé unique composée (ex. user_id_course_id) ou opérateurs de comparaison
+        return Object.keys(condition).every(operator => OPERATORS.has(operator))
+          ? matchesOperators(row[key], condition)
+          : matches(model, row, condition);
+      }
+
+      return sameValue(row[key], condition);
+    });
+  };
+
+  const withIncludes = (model, row, include) => {
+    if (!row) {
+      return null;
+    }
+
+    const result = { ...row };
+    for (const [name, option] of Object.entries(include || {})) {
+      if (!option || !RELATIONS[model]?.[name]) {
+        continue;
+      }
+      const relation = RELATIONS[model][name];
+      const nested = option === true ? undefined : option.include;
+      const target = related(model, row, name);
+      result[name] = relation.one
+        ? withIncludes(relation.model, target, nested)
+        : target.map(child => withIncludes(relation.model, child, nested));
+    }
+    return result;
+  };
+
+  const checkUnique = (model, row, ignore = null) => {
+    for (const fields of UNIQUES[model] || []) {
+      if (fields.some(field => row[field] === null || row[field] === undefined)) {
+        continue;
+      }
+      const clash = table(model).some(other => other !== ignore && fields.every(field => sameValue(other[field], row[field])));
+      if (clash) {
+        throw prismaError(`Unique constraint failed on ${model}(${fields.join(', ')})`, 'P2002');
+      }
+    }
+  };
+
+  const applyData = (row, data) => {
+    for (const [field, value] of Object.entries(data)) {
+      if (value === undefined) {
+        continue;
+      }
+      if (isPlainObject(value) && 'increment' in value) {
+        row[field] = (row[field] || 0) + value.increment;
+      } else if (isPlainObject(value) && 'decrement' in value) {
+        row[field] = (row[field] || 0) - value.decrement;
+      } else if (isPlainObject(value) && 'push' in value) {
+        row[field] = [...(row[field] || []), ...[].concat(value.push)];
+      } else {
+        row[field] = value;
+      }
+    }
+    row.updated_at = new Date();
+  };
+
+  const createRow = (model, data) => {
+    const nestedCreates = [];
+    const values = {};
+
+    for (const [field, value] of Object.entries(data)) {
+      if (RELATIONS[model]?.[field] && isPlainObject(value) && value.create) {
+        nestedCreates.push([RELATIONS[model][field], value.create]);
+      } else if (value !== undefined) {
+        values[field] = value;
+      }
+    }
+
+    const now = new Date();
+    const row = {
+      id: UUID_MODELS.has(model) ? crypto.randomUUID() : nextId++,
+      ...(DEFAULTS[model]?.() ?? {}),
+      created_at: now,
+      updated_at: now,
+      ...values
+    };
+
+    checkUnique(model, row);
+    table(model).push(row);
+
+    for (const [relation, children] of nestedCreates) {
+      for (const child of [].concat(children)) {
+        createRow(relation.model, { ...child, [relation.foreign]: row[relation.local] });
+      }
+    }
+
+    return row;
+  };
+
+  const findOne = (model, where) => table(model).find(row => matches(model, row, where)) ?? null;
+
+  const delegate = (model) => ({
+    findUnique: async ({ where, include } = {}) => withIncludes(model, findOne(model, where), include),
+    findFirst: async ({ where, include } = {}) => withIncludes(model, findOne(model, where), include),
+    findMany: async ({ where, include } = {}) => table(model)
+      .filter(row => matches(model, row, where))
+      .map(row => withIncludes(model, row, include)),
+    count: async ({ where } = {}) => table(model).filter(row => matches(model, row, where)).length,
+    create: async ({ data, include }) => withIncludes(model, createRow(model, data), include),
+    createMany: async ({ data, skipDuplicates = false }) => {
+      let count = 0;
+      for (const item of [].concat(data)) {
+        try {
+          createRow(model, item);
+          count += 1;
+        } catch (error) {
+          if (!(skipDuplicates && error.code === 'P2002')) {
+            throw error;
+          }
+        }
+      }
+      return { count };
+    },
+    update: async ({ where, data, include }) => {
+      const row = findOne(model, where);
+      if (!row) {
+        throw prismaError(`No ${model} found to update`, 'P2025');
+      }
+      applyData(row, data);
+      checkUnique(model, row, row);
+      return withIncludes(model, row, include);
+    },
+    upsert: async ({ where, create, update, include }) => {
+      const row = findOne(model, where);
+      if (!row) {
+        return withIncludes(model, createRow(model, create), include);
+      }
+      applyData(row, update);
+      checkUnique(model, row, row);
+      return withIncludes(model, row, include);
+    },
+    updateMany: async ({ where, data }) => {
+      const rows = table(model).filter(row => matches(model, row, where));
+      rows.forEach(row => applyData(row, data));
+      return { count: rows.length };
+    },
+    delete: async ({ where }) => {
+      const row = findOne(model, where);
+      if (!row) {
+        throw prismaError(`No ${model} found to delete`, 'P2025');
+      }
+      tables[model] = table(model).filter(candidate => candidate !== row);
+      return row;
+    }
+  });
+
+  const delegates = new Map();
+
+  const client = new Proxy({
+    // Transaction interactive ou tableau de requêtes ; en cas d'erreur, l'état d'avant est restauré
+    async $transaction(work) {
+      const snapshot = structuredClone(tables);
+      const snapshotId = nextId;
+      try {
+        return typeof work === 'function' ? await work(client) : await Promise.all(work);
+      } catch (error) {
+        tables = snapshot;
+        nextId = snapshotId;
+        throw error;
+      }
+    },
+    // Les verrous (SELECT ... FOR UPDATE) n'ont pas d'effet : les tests s'exécutent en séquence
+    async $queryRaw() {
+      return [];
+    },
+    async $executeRaw() {
+      return 0;
+    },
+    async $disconnect() {},
+    reset() {
+      tables = {};
+      nextId = 1;
+    },
+    rows(model) {
+      return table(model);
+    }
+  }, {
+    get(target, property) {
+      if (property in target || typeof property !== 'string') {
+        return target[property];
+      }
+      if (!delegates.has(property)) {
+        delegates.set(property, delegate(property));
+      }
+      return delegates.get(property);
+    }
+  });
+
+  return client;
+};
+
+// Instance partagée par tous les modules pendant un fichier de test (voir le vi.mock de @prisma/client)
+export const fakePrisma = createFakePrisma();
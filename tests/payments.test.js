@@ -0,0 +1,181 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { fakePrisma } from './helpers/fakePrisma.js';
+import fakeProvider, { signFakePayload } from '../src/payments/fakeProvider.js';
+import { createCheckout, expirePendingOrders, getPaymentProvider, handlePaymentEvent } from '../src/payments/index.js';
+
+const seedCheckout = async () => {
+  const user = await fakePrisma.user.create({ data: { email: 'learner@example.com', full_name: 'Learner' } });
+  const course = await fakePrisma.course.create({ data: { title: 'Python', price: 10000, status: 'PUBLISHED' } });
+  const { order } = await createCheckout({ user, course });
+
+  return { user, course, order };
+};
+
+// Requête webhook telle que la reçoit le handler : corps brut, signé par défaut, et corps JSON
+const webhookRequest = (body, signature) => {
+  const rawBody = JSON.stringify(body);
+
+  return { headers: { 'x-fake-signature': signature ?? signFakePayload(rawBody) }, rawBody, body };
+};
+
+const receiveWebhook = (body) => {
+  const event = fakeProvider.verifyWebhook(webhookRequest(body));
+  return handlePaymentEvent(fakeProvider.name, event);
+};
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.unstubAllEnvs();
+  vi.restoreAllMocks();
+});
+
+describe('payment provider selection', () => {
+  it('has no default provider', () => {
+    vi.stubEnv('PAYMENT_PROVIDER', '');
+
+    expect(() => getPaymentProvider()).toThrow(expect.objectContaining({ statusCode: 503 }));
+  });
+
+  it('refuses the fake provider in production', () => {
+    vi.stubEnv('NODE_ENV', 'production');
+
+    expect(() => getPaymentProvider('fake')).toThrow(expect.objectContaining({ statusCode: 404 }));
+  });
+
+  it('refuses the fake provider without a signing secret', () => {
+    vi.stubEnv('FAKE_PAYMENT_SECRET', '');
+
+    expect(() => getPaymentProvider('fake')).toThrow(expect.objectContaining({ statusCode: 404 }));
+  });
+});
+
+describe('checkout', () => {
+  it('returns the pending order instead of opening a second one', async () => {
+    const { user, course, order } = await seedCheckout();
+
+    const again = await createCheckout({ user, course });
+
+    expect(again.order.id).toBe(order.id);
+    expect(again.checkoutUrl).toBe(order.checkout_url);
+    expect(fakePrisma.rows('order')).toHaveLength(1);
+  });
+
+  it('refuses a second checkout with another coupon while an order is pending', async () => {
+    const { user, course } = await seedCheckout();
+    await fakePrisma.coupon.create({ data: { code: 'WELCOME', type: 'PERCENTAGE', value: 20 } });
+
+    await expect(createCheckout({ user, course, couponCode: 'WELCOME' })).rejects.toMatchObject({ statusCode: 409 });
+    expect(fakePrisma.rows('order')).toHaveLength(1);
+  });
+});
+
+describe('payment webhook', () => {
+  it('rejects a payload with an invalid signature', async () => {
+    const { order } = await seedCheckout();
+    const body = { id: 'evt_1', type: 'payment.succeeded', reference: order.provider_reference };
+
+    expect(() => fakeProvider.verifyWebhook(webhookRequest(body, 'f'.repeat(64)))).toThrow('Invalid webhook signature');
+    expect(() => fakeProvider.verifyWebhook({ headers: {}, rawBody: JSON.stringify(body), body }))
+      .toThrow('Invalid webhook signature');
+  });
+
+  it('marks the order paid and enrolls the buyer', async () => {
+    const { user, course, order } = await seedCheckout();
+
+    const result = await receiveWebhook({ id: 'evt_1', type: 'payment.succeeded', reference: order.provider_reference });
+
+    expect(result.duplicate).toBe(false);
+    expect(result.order.status).toBe('PAID');
+    expect(fakePrisma.rows('enrollment')).toEqual([
+      expect.objectContaining({ user_id: user.id, course_id: course.id, status: 'ACTIVE', source: 'PURCHASE' })
+    ]);
+    expect(fakePrisma.rows('course')[0].enrolled_count).toBe(1);
+    expect(fakePrisma.rows('paymentEvent')).toHaveLength(1);
+  });
+
+  it('ignores a replayed event', async () => {
+    const { order } = await seedCheckout();
+    const body = { id: 'evt_1', type: 'payment.succeeded', reference: order.provider_reference };
+
+    await receiveWebhook(body);
+    const replay = await receiveWebhook(body);
+
+    expect(replay.duplicate).toBe(true);
+    expect(fakePrisma.rows('enrollment')).toHaveLength(1);
+    expect(fakePrisma.rows('course')[0].enrolled_count).toBe(1);
+    expect(fakePrisma.rows('paymentEvent')).toHaveLength(1);
+  });
+
+  it('keeps nothing when the enrollment fails, so the provider retry is processed', async () => {
+    const { order } = await seedCheckout();
+    const body = { id: 'evt_1', type: 'payment.succeeded', reference: order.provider_reference };
+
+    vi.spyOn(fakePrisma.enrollment, 'createMany').mockRejectedValueOnce(new Error('Connection lost'));
+
+    await expect(receiveWebhook(body)).rejects.toThrow('Connection lost');
+    expect(fakePrisma.rows('order')[0].status).toBe('PENDING');
+    expect(fakePrisma.rows('paymentEvent')).toHaveLength(0);
+
+    const retry = await receiveWebhook(body);
+
+    expect(retry.duplicate).toBe(false);
+    expect(retry.order.status).toBe('PAID');
+    expect(fakePrisma.rows('enrollment')).toHaveLength(1);
+  });
+
+  it('marks the order failed without enrolling', async () => {
+    const { order } = await seedCheckout();
+
+    const result = await receiveWebhook({ id: 'evt_1', type: 'payment.failed', reference: order.provider_reference });
+
+    expect(result.order.status).toBe('FAILED');
+    expect(fakePrisma.rows('enrollment')).toHaveLength(0);
+  });
+
+  it('revokes access when the refund is confirmed', async () => {
+    const { order } = await seedCheckout();
+
+    await receiveWebhook({ id: 'evt_1', type: 'payment.succeeded', reference: order.provider_reference });
+    const result = await receiveWebhook({ id: 'evt_2', type: 'refund.succeeded', reference: order.provider_reference });
+
+    expect(result.order.status).toBe('REFUNDED');
+    expect(fakePrisma.rows('enrollment')[0].status).toBe('REVOKED');
+    expect(fakePrisma.rows('course')[0].enrolled_count).toBe(0);
+  });
+
+  it('enrolls the buyer when the payment is confirmed after the order expired', async () => {
+    vi.useFakeTimers({ now: new Date('2026-10-01T10:00:00Z') });
+    const { user, order } = await seedCheckout();
+
+    vi.setSystemTime(new Date('2026-10-02T11:00:00Z'));
+    await expirePendingOrders();
+    const result = await receiveWebhook({ id: 'evt_1', type: 'payment.succeeded', reference: order.provider_reference });
+
+    expect(result.order.status).toBe('PAID');
+    expect(fakePrisma.rows('enrollment')).toEqual([expect.objectContaining({ user_id: user.id, status: 'ACTIVE' })]);
+  });
+
+  it('refunds a late payment when the buyer has paid another order meanwhile', async () => {
+    vi.useFakeTimers({ now: new Date('2026-10-01T10:00:00Z') });
+    const { user, course, order } = await seedCheckout();
+
+    vi.setSystemTime(new Date('2026-10-02T11:00:00Z'));
+    await expirePendingOrders();
+    const { order: second } = await createCheckout({ user, course });
+    await receiveWebhook({ id: 'evt_1', type: 'payment.succeeded', reference: second.provider_reference });
+
+    const result = await receiveWebhook({ id: 'evt_2', type: 'payment.succeeded', reference: order.provider_reference });
+
+    expect(result.order.status).toBe('REFUNDED');
+    expect(fakePrisma.rows('order').find(row => row.id === second.id).status).toBe('PAID');
+    expect(fakePrisma.rows('enrollment')).toEqual([expect.objectContaining({ status: 'ACTIVE' })]);
+    expect(fakePrisma.rows('course')[0].enrolled_count).toBe(1);
+  });
+
+  it('returns 404 for an unknown payment reference', async () => {
+    await seedCheckout();
+
+    await expect(receiveWebhook({ id: 'evt_1', type: 'payment.succeeded', reference: 'fake_unknown' }))
+      .rejects.toMatchObject({ statusCode: 404 });
+  });
+});
@@ -0,0 +1,25 @@
+import { describe, it, expect } from 'vitest';
+import { fakePrisma } from './helpers/fakePrisma.js';
+import { markChapterCompleted, setCurrentChapter } from '../src/utils/progress.js';
+
+describe('chapter progress', () => {
+  it('keeps one progress row and every chapter completed in parallel', async () => {
+    await Promise.all([
+      markChapterCompleted({ userId: 1, courseId: 1, chapterId: 10 }),
+      markChapterCompleted({ userId: 1, courseId: 1, chapterId: 11 }),
+      markChapterCompleted({ userId: 1, courseId: 1, chapterId: 10 })
+    ]);
+
+    const rows = fakePrisma.rows('userProgress');
+    expect(rows).toHaveLength(1);
+    expect([...rows[0].completed_chapters].sort()).toEqual([10, 11]);
+  });
+
+  it('moves the current chapter without completing it', async () => {
+    await markChapterCompleted({ userId: 1, courseId: 1, chapterId: 10 });
+
+    const progress = await setCurrentChapter({ userId: 1, courseId: 1, chapterId: 11 });
+
+    expect(progress).toMatchObject({ current_chapter_id: 11, completed_chapters: [10] });
+  });
+});
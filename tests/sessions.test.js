@@ -0,0 +1,78 @@
+import { describe, it, expect } from 'vitest';
+import jwt from 'jsonwebtoken';
+import { fakePrisma } from './helpers/fakePrisma.js';
+import { createSession, rotateRefreshToken, revokeAllSessions } from '../src/utils/sessions.js';
+import { hashToken } from '../src/utils/utils.js';
+
+const request = { headers: { 'user-agent': 'vitest' }, ip: '127.0.0.1' };
+
+const login = async (data = {}) => {
+  const user = await fakePrisma.user.create({ data: { email: 'learner@example.com', full_name: 'Learner', ...data } });
+  const tokens = await createSession(user, request);
+
+  return { user, ...tokens };
+};
+
+const storedToken = (refreshToken) => fakePrisma.rows('refreshToken').find(row => row.token_hash === hashToken(refreshToken));
+
+describe('refresh token rotation', () => {
+  it('opens a session and stores only the refresh token hash', async () => {
+    const { user, token, refreshToken } = await login();
+
+    const [session] = fakePrisma.rows('session');
+    expect(session).toMatchObject({ user_id: user.id, user_agent: 'vitest', revoked_at: null });
+    expect(jwt.verify(token, process.env.JWT_SECRET)).toMatchObject({ id: user.id, sid: session.id });
+    expect(fakePrisma.rows('refreshToken').some(row => row.token_hash === refreshToken)).toBe(false);
+    expect(storedToken(refreshToken)).toBeTruthy();
+  });
+
+  it('replaces the refresh token with a new pair for the same session', async () => {
+    const { user, refreshToken } = await login();
+
+    const rotated = await rotateRefreshToken(refreshToken);
+
+    expect(rotated.refreshToken).not.toBe(refreshToken);
+    expect(rotated.user).toEqual({ id: user.id, email: user.email, role: 'USER' });
+    expect(jwt.verify(rotated.token, process.env.JWT_SECRET).sid).toBe(fakePrisma.rows('session')[0].id);
+
+    const previous = storedToken(refreshToken);
+    expect(previous.revoked_at).toBeInstanceOf(Date);
+    expect(previous.replaced_by_id).toBe(storedToken(rotated.refreshToken).id);
+  });
+
+  it('revokes the whole session when a used refresh token comes back', async () => {
+    const { refreshToken } = await login();
+    const rotated = await rotateRefreshToken(refreshToken);
+
+    await expect(rotateRefreshToken(refreshToken))
+      .rejects.toMatchObject({ statusCode: 401, message: 'Refresh token reuse detected, session revoked' });
+
+    expect(fakePrisma.rows('session')[0].revoked_at).toBeInstanceOf(Date);
+    expect(fakePrisma.rows('refreshToken').every(row => row.revoked_at)).toBe(true);
+    await expect(rotateRefreshToken(rotated.refreshToken)).rejects.toMatchObject({ statusCode: 401 });
+  });
+
+  it('rejects unknown and expired refresh tokens', async () => {
+    const { refreshToken } = await login();
+    storedToken(refreshToken).expires_at = new Date(Date.now() - 1000);
+
+    await expect(rotateRefreshToken('unknown')).rejects.toMatchObject({ statusCode: 401, message: 'Invalid refresh token' });
+    await expect(rotateRefreshToken(refreshToken))
+      .rejects.toMatchObject({ statusCode: 401, message: 'Refresh token expired or revoked' });
+  });
+
+  it('rejects the refresh tokens of revoked sessions', async () => {
+    const { user, refreshToken } = await login();
+
+    await revokeAllSessions(user.id);
+
+    await expect(rotateRefreshToken(refreshToken)).rejects.toMatchObject({ statusCode: 401 });
+  });
+
+  it('refuses to refresh the session of a suspended account', async () => {
+    const { refreshToken } = await login({ is_suspended: true, suspension_reason: 'Spam' });
+
+    await expect(rotateRefreshToken(refreshToken)).rejects.toMatchObject({ statusCode: 403 });
+    expect(storedToken(refreshToken).revoked_at).toBeNull();
+  });
+});
@@ -0,0 +1,18 @@
+import { beforeEach, vi } from 'vitest';
+import { fakePrisma } from './helpers/fakePrisma.js';
+
+// Chaque module crée son PrismaClient : ils partagent tous la base en mémoire du fichier de test
+vi.mock('@prisma/client', async () => {
+  const { fakePrisma: client } = await import('./helpers/fakePrisma.js');
+  return {
+    PrismaClient: class {
+      constructor() {
+        return client;
+      }
+    }
+  };
+});
+
+beforeEach(() => {
+  fakePrisma.reset();
+});
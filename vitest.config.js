@@ -0,0 +1,15 @@
+import { defineConfig } from 'vitest/config';
+
+export default defineConfig({
+  test: {
+    include: ['tests/**/*.test.js'],
+    setupFiles: ['tests/setup.js'],
+    env: {
+      JWT_SECRET: 'test-jwt-secret',
+      PAYMENT_PROVIDER: 'fake',
+      FAKE_PAYMENT_SECRET: 'test-payment-secret',
+      EMAIL_TRANSPORT: 'file',
+      REACT_APP_URL: 'http://localhost:3000'
+    }
+  }
+});